@@ -0,0 +1,79 @@
+/* eslint no-console: 0 */
+/**
+ * Compares dispatching commands and finding the commands of a target with
+ * and without the selector index, on a registry holding a few thousand
+ * commands registered by simulated plugins.
+ *
+ *   npm run bench
+ */
+var CommandRegistry = require('../');
+
+var PLUGIN_COUNT = 100;
+var COMMANDS_PER_PLUGIN = 30;
+
+// The object target tree without `getIndexKeys`, which makes every listener
+// a candidate for every node like before selectors were indexed.
+var unindexedTargetTree = Object.create(CommandRegistry.objectTargetTree);
+unindexedTargetTree.getIndexKeys = undefined;
+
+function createTree() {
+  var workspace = {type: 'workspace', classList: ['workspace']};
+  var pane = {type: 'pane', classList: ['pane', 'active'], parent: workspace};
+  var container = {type: 'div', classList: ['editor-container'], parent: pane};
+  var editor = {type: 'editor', id: 'editor-1', classList: ['editor', 'plugin-7-view'], parent: container};
+  return editor;
+}
+
+function createRegistry(targetTree) {
+  var registry = new CommandRegistry({targetTree: targetTree});
+  var plugin, command, selectors;
+  for (plugin = 0; plugin < PLUGIN_COUNT; plugin++) {
+    selectors = ['.plugin-' + plugin + '-view', 'workspace .plugin-' + plugin + '-panel', '#plugin-' + plugin + '-dock', 'editor.plugin-' + plugin + '-view'];
+    for (command = 0; command < COMMANDS_PER_PLUGIN; command++) {
+      registry.add(selectors[command % selectors.length], 'plugin-' + plugin + ':command-' + command, function() {});
+    }
+    // Core commands are usually handled by many plugins on their own views.
+    registry.add(selectors[0], 'core:copy', function() {});
+  }
+  registry.add('workspace', 'application:quit', function() {});
+  registry.add('.editor', 'editor:save', function() {});
+  return registry;
+}
+
+function measure(name, fn) {
+  var iterations = 0;
+  var start = process.hrtime();
+  var elapsed;
+  do {
+    fn();
+    iterations++;
+    elapsed = process.hrtime(start);
+  } while (elapsed[0] < 1);
+  elapsed = elapsed[0] * 1e3 + elapsed[1] / 1e6;
+  return {
+    name: name,
+    msPerOp: elapsed / iterations
+  };
+}
+
+function run(name, fn) {
+  var editor = createTree();
+  var unindexed = createRegistry(unindexedTargetTree);
+  var indexed = createRegistry(CommandRegistry.objectTargetTree);
+  var before = measure(name, fn.bind(null, unindexed, editor));
+  var after = measure(name, fn.bind(null, indexed, editor));
+  console.log(name);
+  console.log('  unindexed: ' + before.msPerOp.toFixed(4) + ' ms/op');
+  console.log('  indexed:   ' + after.msPerOp.toFixed(4) + ' ms/op (' + (before.msPerOp / after.msPerOp).toFixed(1) + 'x)');
+}
+
+console.log((PLUGIN_COUNT * COMMANDS_PER_PLUGIN + 3) + ' commands');
+run('findCommands', function(registry, editor) {
+  registry.findCommands({target: editor});
+});
+run('dispatch a plugin command', function(registry, editor) {
+  registry.dispatch(editor, 'plugin-7:command-0');
+});
+run('dispatch a command handled by every plugin', function(registry, editor) {
+  registry.dispatch(editor, 'core:copy');
+});
@@ -6,15 +6,169 @@ var CompositeDisposable = kit.CompositeDisposable;
 
 var clearCut = require('clear-cut');
 var calculateSpecificity = clearCut.calculateSpecificity;
-var validateSelector = clearCut.validateSelector;
 
 var _ = require('underscore-plus');
 
+var fuzzyMatch = require('./lib/fuzzy-match');
+var CommandHistory = require('./lib/command-history');
+var targetTrees = require('./lib/target-trees');
+var CommandSnapshot = require('./lib/command-snapshot');
+var CommandScope = require('./lib/command-scope');
+var argumentSchema = require('./lib/argument-schema');
+var CommandArgumentError = argumentSchema.CommandArgumentError;
+var DispatchTrace = require('./lib/dispatch-trace');
+var SelectorIndex = require('./lib/selector-index');
+var splitSelectorList = require('./lib/selectors').splitSelectorList;
+var macros = require('./lib/macros');
+var commandLine = require('./lib/command-line');
+var contextKeys = require('./lib/context-keys');
+var ContextKeyService = contextKeys.ContextKeyService;
+var UsageTracker = require('./lib/usage-tracker');
+
 var SequenceCount = 0;
 
-function SelectorBasedListener(selector1, callback1) {
+var BUBBLING_PHASE = 3;
+
+var RECENT_USE_HALF_LIFE = 60 * 60 * 1000;
+
+var DEFAULT_TRACE_BUFFER_SIZE = 50;
+
+var COMMAND_CHANGE_EVENTS = ['did-add-command', 'did-update-command', 'did-remove-command'];
+
+/**
+ * Normalize the listener passed to `CommandRegistry.prototype.add` into the
+ * metadata exposed by `findCommands`. Functions, such as `didDispatch` and
+ * `undo`, are handlers rather than metadata and are left out.
+ *
+ * @param {String} commandName The name of the command.
+ * @param {Function|Object} listener A callback or a descriptor object.
+ * @returns {Object} The descriptor, always including a `displayName`.
+ */
+function extractDescriptor(commandName, listener) {
+  var descriptor = {};
+  var key;
+  if (typeof listener === 'object') {
+    for (key in listener) {
+      if (typeof listener[key] !== 'function' && key !== 'enabled' && key !== 'when' && listener.hasOwnProperty(key)) {
+        descriptor[key] = listener[key];
+      }
+    }
+  }
+  if (descriptor.displayName == null) {
+    descriptor.displayName = _.humanizeEventName(commandName);
+  }
+  return descriptor;
+}
+
+function extractHandler(listener, name) {
+  if (typeof listener === 'function') {
+    return name === 'didDispatch' ? listener : null;
+  }
+  return typeof listener[name] === 'function' ? listener[name] : null;
+}
+
+/**
+ * Whether a listener accepts to handle its command on a target.
+ *
+ * @param {SelectorBasedListener|InlineListener} listener
+ * @param {DOMNode} currentTarget The node the listener was matched on, used
+ *   as `this` for the `enabled` predicate.
+ * @param {DOMNode} target The node the command is dispatched on.
+ * @returns {Boolean}
+ */
+function isListenerEnabled(listener, currentTarget, target) {
+  if (typeof listener.enabled === 'function') {
+    return !!listener.enabled.call(currentTarget, target);
+  }
+  return listener.enabled !== false;
+}
+
+function extractWhenClause(listener) {
+  if (typeof listener === 'object' && listener.when != null) {
+    return contextKeys.parseWhenClause(listener.when);
+  }
+  return null;
+}
+
+function createUndoStep(commandName, listener, currentTarget, event, index) {
+  return {
+    commandName: commandName,
+    index: index,
+    undo: function() {
+      listener.undo.call(currentTarget, event);
+    },
+    redo: function() {
+      (listener.redo || listener.callback).call(currentTarget, event);
+    }
+  };
+}
+
+function createFailure(invocation, index, error) {
+  var invoked = invocation.invokedListeners[index];
+  return {
+    event: invocation.event,
+    commandName: invocation.event.type,
+    listener: invoked.listener.callback,
+    selector: invoked.listener.selector != null ? invoked.listener.selector : null,
+    currentTarget: invoked.currentTarget,
+    error: error
+  };
+}
+
+/**
+ * Get the node a DOM event was originally dispatched on. Listeners outside a
+ * shadow tree see its host as the `target` of the events dispatched inside
+ * it, but commands are routed from the original target.
+ */
+function originalTarget(event) {
+  var path;
+  if (typeof event.composedPath === 'function') {
+    path = event.composedPath();
+  } else {
+    // Older Chromium exposes the path of events as `event.path`.
+    path = event.path;
+  }
+  if (path != null && path.length > 0) {
+    return path[0];
+  }
+  return event.target;
+}
+
+// Throw an error from its own task, so it reaches `window.onerror` and crash
+// reporters without interrupting the caller.
+function throwLater(error) {
+  setTimeout(function() {
+    throw error;
+  }, 0);
+}
+
+// Deprecations are only warned about, from Node's warning channel when there
+// is one and from the console otherwise.
+function warnDeprecation(message) {
+  if (typeof process !== 'undefined' && typeof process.emitWarning === 'function') {
+    process.emitWarning(message, 'DeprecationWarning');
+  } else if (typeof console !== 'undefined') {
+    console.warn(message);
+  }
+}
+
+function reportFailure(emitter, failure, rethrown) {
+  if (emitter.listenerCountForEventName('did-fail-dispatch') > 0) {
+    emitter.emit('did-fail-dispatch', failure);
+  } else if (!rethrown) {
+    throwLater(failure.error);
+  }
+}
+
+function SelectorBasedListener(selector1, commandName, listener) {
   this.selector = selector1;
-  this.callback = callback1;
+  this.commandName = commandName;
+  this.callback = extractHandler(listener, 'didDispatch');
+  this.undo = extractHandler(listener, 'undo');
+  this.redo = extractHandler(listener, 'redo');
+  this.enabled = typeof listener === 'object' && listener.enabled != null ? listener.enabled : null;
+  this.when = extractWhenClause(listener);
+  this.descriptor = extractDescriptor(commandName, listener);
   this.specificity = calculateSpecificity(this.selector);
   this.sequenceNumber = SequenceCount++;
 }
@@ -23,8 +177,14 @@ SelectorBasedListener.prototype.compare = function(other) {
   return other.specificity - this.specificity || other.sequenceNumber - this.sequenceNumber;
 };
 
-function InlineListener(callback1) {
-  this.callback = callback1;
+function InlineListener(commandName, listener) {
+  this.callback = extractHandler(listener, 'didDispatch');
+  this.undo = extractHandler(listener, 'undo');
+  this.redo = extractHandler(listener, 'redo');
+  this.enabled = typeof listener === 'object' && listener.enabled != null ? listener.enabled : null;
+  this.when = extractWhenClause(listener);
+  this.descriptor = extractDescriptor(commandName, listener);
+  this.sequenceNumber = SequenceCount++;
 }
 
 /**
@@ -51,7 +211,28 @@ function InlineListener(callback1) {
  * `event.currentTarget`. As is normally the case with DOM events,
  * `stopPropagation` and `stopImmediatePropagation` can be used to terminate the
  * bubbling process and prevent invocation of additional listeners.
+ *
+ * Outside of a DOM renderer, such as in the Electron main process or in Node
+ * scripts, commands target plain objects instead: see `objectTargetTree` in
+ * `CommandRegistry.objectTargetTree`.
 
+ * @param {Object} options
+ *   - `targetTree` How to walk from command targets up to the root and match
+ *     selectors on the way. Defaults to `CommandRegistry.domTargetTree` when
+ *     there is a DOM, and `CommandRegistry.objectTargetTree` otherwise.
+ *   - `errorPolicy` What to do when a listener throws, after reporting the
+ *     error through `onDidFailDispatch`: `'continue'` invoking the remaining
+ *     listeners, the default, `'stop'` the dispatch like
+ *     `stopImmediatePropagation` would, or `'throw'` the first error from
+ *     `dispatch` once the remaining listeners were invoked. With the first
+ *     two, errors nothing subscribed to are thrown again from a timer, where
+ *     no caller can catch them: in Node scripts, they end the process
+ *     unless it handles `uncaughtException`.
+ *   - `matchShadowTrees` Whether selector-based listeners match the nodes
+ *     inside shadow trees. By default only the inline listeners of these
+ *     nodes are invoked, and commands dispatched inside a shadow tree reach
+ *     the selectors matching its host and the host's ancestors.
+ *
  * @example
  * ```coffee
  * atom.commands.add 'atom-text-editor',
@@ -60,7 +241,22 @@ function InlineListener(callback1) {
  *    editor.insertText(new Date().toLocaleString())
  * ```
  */
-function CommandRegistry() {
+function CommandRegistry(options) {
+  options = options || {};
+  this.targetTree = options.targetTree || targetTrees.defaultTargetTree();
+  this.errorPolicy = options.errorPolicy || 'continue';
+  this.matchShadowTrees = !!options.matchShadowTrees;
+  this.tracingEnabled = false;
+  this.traceBufferSize = DEFAULT_TRACE_BUFFER_SIZE;
+  this.dispatchDepth = 0;
+  this.contextKeys = options.contextKeys || new ContextKeyService();
+  this.contextKeys.onDidChange((function(_this) {
+    return function() {
+      if (_this.enabledStateTarget != null) {
+        _this.updateEnabledState(_this.enabledStateTarget);
+      }
+    };
+  })(this));
   this.handleCommandEvent = this.handleCommandEvent.bind(this);
   // var bind = function(fn, me){
   //   return function(){
@@ -69,51 +265,130 @@ function CommandRegistry() {
   // };
   // this.handleCommandEvent = bind(this.handleCommandEvent, this);
   this.rootNode = null;
+  this.rootNodes = [];
+  this.handledEvents = new WeakSet();
+  this.keyBindingProvider = null;
+  this.activeScopeName = null;
+  this.commandChangeBatch = null;
   this.clear();
 }
 
 CommandRegistry.prototype.clear = function() {
+  var commandName;
+  for (commandName in this.registeredCommands) {
+    this.removeRootListeners(commandName);
+  }
   this.registeredCommands = {};
   this.selectorBasedListenersByCommandName = {};
   this.inlineListenersByCommandName = {};
+  this.inlineListenerRecordsByCommandName = {};
+  this.scopes = {};
+  this.middleware = [];
+  this.traces = [];
+  this.selectorIndexesByCommandName = {};
+  this.selectorIndex = null;
+  this.aliases = {};
+  this.enabledStates = {};
+  this.enabledStateTarget = null;
+  this.history = new CommandHistory();
   this.emitter = new Emitter();
+  // A tracker set with `setUsageTracker` outlives `clear`, subscribed to the
+  // new emitter.
+  if (this.usageTracker != null && this.usageTracker !== this.defaultUsageTracker) {
+    this.usageTracker.subscribe();
+  } else {
+    this.usageTracker = this.defaultUsageTracker = new UsageTracker(this);
+  }
 };
 
+/**
+ * Start handling the command events dispatched on the descendants of a
+ * node, e.g. the `document` of a window. Several roots can be attached, such
+ * as the documents of popout windows or shadow roots; events are handled
+ * once even when roots are nested.
+ *
+ * @param {DOMNode} rootNode
+ */
 CommandRegistry.prototype.attach = function(rootNode) {
-  var command, results;
-  this.rootNode = rootNode;
-  for (command in this.selectorBasedListenersByCommandName) {
-    this.commandRegistered(command);
+  var commandName;
+  if (this.rootNodes.indexOf(rootNode) !== -1) {
+    return;
   }
-  results = [];
-  for (command in this.inlineListenersByCommandName) {
-    results.push(this.commandRegistered(command));
+  this.rootNodes.push(rootNode);
+  if (this.rootNode == null) {
+    this.rootNode = rootNode;
+  }
+  for (commandName in this.registeredCommands) {
+    rootNode.addEventListener(commandName, this.handleCommandEvent, true);
   }
-  return results;
 };
 
-CommandRegistry.prototype.destroy = function() {
+/**
+ * Stop handling the command events of a root attached with `attach`.
+ *
+ * @param {DOMNode} rootNode
+ */
+CommandRegistry.prototype.detach = function(rootNode) {
+  var index = this.rootNodes.indexOf(rootNode);
   var commandName;
+  if (index === -1) {
+    return;
+  }
+  this.rootNodes.splice(index, 1);
   for (commandName in this.registeredCommands) {
-    this.rootNode.removeEventListener(commandName, this.handleCommandEvent, true);
+    rootNode.removeEventListener(commandName, this.handleCommandEvent, true);
+  }
+  if (this.rootNode === rootNode) {
+    this.rootNode = this.rootNodes.length > 0 ? this.rootNodes[0] : null;
   }
 };
 
+/**
+ * Detach every root. The listeners stay registered, and the registry can be
+ * attached again.
+ */
+CommandRegistry.prototype.destroy = function() {
+  this.rootNodes.slice().forEach(this.detach.bind(this));
+};
+
 /**
  * Add one or more command listeners associated with a selector.
  *
  * @param {String} target A CSS selector or a DOM element. If you
  *  pass a selector, the command will be globally associated with all matching
- *   elements. The `,` combinator is not currently supported. If you pass a
- *   DOM element, the command will be associated with just that element.
+ *   elements. Each selector of a `,` separated list is matched with its own
+ *   specificity, and the callback is invoked once per element even when it
+ *   matches several of them. If you pass a DOM element, the command will be
+ *   associated with just that element.
  * @param {String|Object} commandName The name of a command you want to
  *   handle e.g. `user:insert-date`.  When passed an Object, no `callback`
  *   argument should be passed.
- * @param {Function} callback A callback to run when the given command is
- *   invoked on an element matching the selector. It will be called with `this`
- *   referencing the matching DOM node.
+ * @param {Function|Object} callback A callback to run when the given command
+ *   is invoked on an element matching the selector. It will be called with
+ *   `this` referencing the matching DOM node.
  *   * `event` A standard DOM event instance. Call `stopPropagation` or
  *     `stopImmediatePropagation` to terminate bubbling early.
+ *   Instead of a function you can pass a descriptor object with these keys:
+ *   * `didDispatch` The callback described above.
+ *   * `displayName` Overrides the name generated from `commandName`.
+ *   * `description` A longer description of what the command does.
+ *   * `tags` An Array of Strings to help users find the command.
+ *   * `hiddenInCommandPalette` If `true`, palettes should not list it.
+ *   * `undo` Makes the command undoable. Called like `didDispatch`, with the
+ *     same `this` and event, to revert what `didDispatch` did.
+ *   * `redo` Called like `undo` to apply the command again. Defaults to
+ *     calling `didDispatch` again.
+ *   * `enabled` A Boolean, or a predicate called with `this` referencing the
+ *     matching DOM node and the target of the command. Disabled listeners
+ *     are skipped when the command is dispatched.
+ *   * `args` A JSON-Schema-like schema for `event.detail`, see
+ *     `lib/argument-schema.js`. Dispatching the command with a `detail` that
+ *     doesn't match throws a `CommandArgumentError` before any listener
+ *     runs, and listeners see the `detail` with the schema's defaults.
+ *   * `when` A clause on the registry's `contextKeys`, e.g.
+ *     `isConnected && !collectionReadonly`, see `lib/context-keys.js`. While
+ *     it is false the listener is ignored, both by dispatches and by
+ *     `findCommands`. Throws a `SyntaxError` when the clause is invalid.
  *
  * @returns {Disposable} on which `.dispose()` can be called to remove the
  * added command callback(s).
@@ -123,44 +398,89 @@ CommandRegistry.prototype.add = function(target, commandName, callback) {
   if (typeof commandName === 'object') {
     commands = commandName;
     disposable = new CompositeDisposable;
-    for (commandName in commands) {
-      callback = commands[commandName];
-      disposable.add(this.add(target, commandName, callback));
-    }
-    return disposable;
+    this.batchCommandChanges((function(_this) {
+      return function() {
+        for (commandName in commands) {
+          callback = commands[commandName];
+          disposable.add(_this.add(target, commandName, callback));
+        }
+      };
+    })(this));
+    return this.batchDisposable(disposable);
   }
-  if (typeof callback !== 'function') {
+  if (typeof callback !== 'function' && !(callback != null && typeof callback.didDispatch === 'function')) {
     throw new Error('Can\'t register a command with non-function callback.');
   }
   if (typeof target === 'string') {
-    validateSelector(target);
-    return this.addSelectorBasedListener(target, commandName, callback);
+    this.targetTree.validateSelector(target);
+    return this.addSelectorListBasedListeners(target, commandName, callback);
   } else {
     return this.addInlineListener(target, commandName, callback);
   }
 };
 
-CommandRegistry.prototype.addSelectorBasedListener = function(selector, commandName, callback) {
-  var base, listener, listenersForCommand;
+CommandRegistry.prototype.addSelectorListBasedListeners = function(selectorList, commandName, callback) {
+  var selectors = splitSelectorList(selectorList);
+  var group, disposable;
+  if (selectors.length === 1) {
+    return this.addSelectorBasedListener(selectorList, commandName, callback, null);
+  }
+  // The listeners of a list share a group, so only the first of them matching
+  // an element, the most specific one, is invoked on it.
+  group = {
+    selector: selectorList
+  };
+  disposable = new CompositeDisposable;
+  this.batchCommandChanges((function(_this) {
+    return function() {
+      selectors.forEach(function(selector) {
+        disposable.add(_this.addSelectorBasedListener(selector, commandName, callback, group));
+      });
+    };
+  })(this));
+  return this.batchDisposable(disposable);
+};
+
+CommandRegistry.prototype.addSelectorBasedListener = function(selector, commandName, callback, group) {
+  var added, base, change, listener, listenersForCommand;
   if ((base = this.selectorBasedListenersByCommandName)[commandName] == null) {
     base[commandName] = [];
   }
   listenersForCommand = this.selectorBasedListenersByCommandName[commandName];
-  listener = new SelectorBasedListener(selector, callback);
+  listener = new SelectorBasedListener(selector, commandName, callback);
+  listener.group = group || null;
+  listener.scopeName = this.activeScopeName;
+  change = {
+    name: commandName,
+    selector: selector,
+    metadata: listener.descriptor
+  };
+  added = !this.hasListeners(commandName);
   listenersForCommand.push(listener);
+  this.invalidateSelectorIndex(commandName);
   this.commandRegistered(commandName);
+  this.emitCommandChange(added ? 'did-add-command' : 'did-update-command', change);
   return new Disposable((function(_this) {
     return function() {
-      listenersForCommand.splice(listenersForCommand.indexOf(listener), 1);
-      if (listenersForCommand.length === 0) {
-        return delete _this.selectorBasedListenersByCommandName[commandName];
+      // Look the listeners up again, restoring a snapshot replaces the array.
+      var listeners = _this.selectorBasedListenersByCommandName[commandName];
+      var index = listeners != null ? listeners.indexOf(listener) : -1;
+      if (index === -1) {
+        return;
       }
+      listeners.splice(index, 1);
+      _this.invalidateSelectorIndex(commandName);
+      if (listeners.length === 0) {
+        delete _this.selectorBasedListenersByCommandName[commandName];
+      }
+      _this.emitCommandChange(_this.hasListeners(commandName) ? 'did-update-command' : 'did-remove-command', change);
+      _this.commandUnregistered(commandName);
     };
   })(this));
 };
 
 CommandRegistry.prototype.addInlineListener = function(element, commandName, callback) {
-  var base, listener, listenersForCommand, listenersForElement;
+  var added, base, base1, change, listener, listenersForCommand, listenersForElement;
   if ((base = this.inlineListenersByCommandName)[commandName] == null) {
     base[commandName] = new WeakMap;
   }
@@ -169,16 +489,250 @@ CommandRegistry.prototype.addInlineListener = function(element, commandName, cal
     listenersForElement = [];
     listenersForCommand.set(element, listenersForElement);
   }
-  listener = new InlineListener(callback);
+  listener = new InlineListener(commandName, callback);
+  listener.scopeName = this.activeScopeName;
+  change = {
+    name: commandName,
+    element: element,
+    metadata: listener.descriptor
+  };
+  added = !this.hasListeners(commandName);
   listenersForElement.push(listener);
+  if ((base1 = this.inlineListenerRecordsByCommandName)[commandName] == null) {
+    base1[commandName] = {};
+  }
+  this.inlineListenerRecordsByCommandName[commandName][listener.sequenceNumber] = {
+    commandName: commandName,
+    sequenceNumber: listener.sequenceNumber,
+    descriptor: listener.descriptor,
+    when: listener.when,
+    scopeName: listener.scopeName
+  };
   this.commandRegistered(commandName);
-  return new Disposable(function() {
-    listenersForElement.splice(listenersForElement.indexOf(listener), 1);
-    if (listenersForElement.length === 0) {
-      return listenersForCommand.delete(element);
+  this.emitCommandChange(added ? 'did-add-command' : 'did-update-command', change);
+  return new Disposable((function(_this) {
+    return function() {
+      // Look the records up again, restoring a snapshot replaces them.
+      var records = _this.inlineListenerRecordsByCommandName[commandName];
+      var index = listenersForElement.indexOf(listener);
+      var registered = records != null && records.hasOwnProperty(listener.sequenceNumber);
+      if (registered) {
+        delete records[listener.sequenceNumber];
+        if (_.isEmpty(records)) {
+          delete _this.inlineListenerRecordsByCommandName[commandName];
+        }
+      }
+      if (index !== -1) {
+        listenersForElement.splice(index, 1);
+        if (listenersForElement.length === 0 && listenersForCommand.get(element) === listenersForElement) {
+          listenersForCommand.delete(element);
+        }
+      }
+      if (registered) {
+        _this.emitCommandChange(_this.hasListeners(commandName) ? 'did-update-command' : 'did-remove-command', change);
+        _this.commandUnregistered(commandName);
+      }
+    };
+  })(this));
+};
+
+/**
+ * Whether a command has selector-based or inline listeners.
+ *
+ * @param {String} commandName
+ * @returns {Boolean}
+ */
+CommandRegistry.prototype.hasListeners = function(commandName) {
+  if (this.selectorBasedListenersByCommandName.hasOwnProperty(commandName) && this.selectorBasedListenersByCommandName[commandName].length > 0) {
+    return true;
+  }
+  return this.inlineListenerRecordsByCommandName.hasOwnProperty(commandName);
+};
+
+CommandRegistry.prototype.emitCommandChange = function(eventName, change) {
+  if (this.commandChangeBatch != null) {
+    this.commandChangeBatch.push({
+      eventName: eventName,
+      change: change
+    });
+  } else {
+    this.emitter.emit(eventName, [change]);
+  }
+};
+
+/**
+ * Call a function, holding back the `did-add-command`, `did-update-command`
+ * and `did-remove-command` events it causes, then emit them at once: each
+ * callback is invoked a single time with every change of its event.
+ *
+ * @param {Function} fn
+ * @returns {*} What `fn` returns.
+ */
+CommandRegistry.prototype.batchCommandChanges = function(fn) {
+  var batch;
+  if (this.commandChangeBatch != null) {
+    return fn();
+  }
+  batch = this.commandChangeBatch = [];
+  try {
+    return fn();
+  } finally {
+    this.commandChangeBatch = null;
+    COMMAND_CHANGE_EVENTS.forEach((function(_this) {
+      return function(eventName) {
+        var changes = batch.filter(function(entry) {
+          return entry.eventName === eventName;
+        }).map(function(entry) {
+          return entry.change;
+        });
+        if (changes.length > 0) {
+          _this.emitter.emit(eventName, changes);
+        }
+      };
+    })(this));
+  }
+};
+
+CommandRegistry.prototype.batchDisposable = function(disposable) {
+  return new Disposable((function(_this) {
+    return function() {
+      _this.batchCommandChanges(function() {
+        disposable.dispose();
+      });
+    };
+  })(this));
+};
+
+/**
+ * Invoke a callback when commands become available: when a command without
+ * listeners gets one. Bulk registrations, such as `add` with an Object of
+ * commands, invoke the callback once for all their commands.
+ *
+ * @param {Function} callback Called with an Array of changes, Objects with
+ *   the command `name`, the `selector` or the `element` the listener was
+ *   added on, and the command `metadata` as in `findCommands`. The
+ *   `element` of inline listeners removed by `restoreSnapshot` is `null`,
+ *   the registry doesn't keep their nodes alive.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidAddCommand = function(callback) {
+  return this.emitter.on('did-add-command', callback);
+};
+
+/**
+ * Invoke a callback when a listener is added to or removed from a command
+ * that keeps other listeners, e.g. for another selector, whose metadata may
+ * differ. Called like `onDidAddCommand` callbacks.
+ *
+ * @param {Function} callback
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidUpdateCommand = function(callback) {
+  return this.emitter.on('did-update-command', callback);
+};
+
+/**
+ * Invoke a callback when commands are no longer available: when the last
+ * listener of a command is removed. Called like `onDidAddCommand`
+ * callbacks, with the removed listener.
+ *
+ * @param {Function} callback
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidRemoveCommand = function(callback) {
+  return this.emitter.on('did-remove-command', callback);
+};
+
+/**
+ * Get the index of the selector-based listeners of a command, or of every
+ * command. Indexes are built on demand and cached until listeners are added
+ * or removed.
+ *
+ * @param {String} commandName Omit to index the listeners of every command,
+ *   in registration order instead of invocation order.
+ * @returns {SelectorIndex}
+ */
+CommandRegistry.prototype.getSelectorIndex = function(commandName) {
+  var commandName2, listeners;
+  if (commandName != null) {
+    if (!this.selectorIndexesByCommandName.hasOwnProperty(commandName)) {
+      this.selectorIndexesByCommandName[commandName] = new SelectorIndex(this.selectorBasedListenersByCommandName[commandName] || [], this.targetTree, function(a, b) {
+        return a.compare(b);
+      });
+    }
+    return this.selectorIndexesByCommandName[commandName];
+  }
+  if (this.selectorIndex == null) {
+    listeners = [];
+    for (commandName2 in this.selectorBasedListenersByCommandName) {
+      listeners.push.apply(listeners, this.selectorBasedListenersByCommandName[commandName2]);
     }
+    this.selectorIndex = new SelectorIndex(listeners, this.targetTree, function(a, b) {
+      return a.sequenceNumber - b.sequenceNumber;
+    });
+  }
+  return this.selectorIndex;
+};
+
+CommandRegistry.prototype.invalidateSelectorIndex = function(commandName) {
+  if (commandName != null) {
+    delete this.selectorIndexesByCommandName[commandName];
+  } else {
+    this.selectorIndexesByCommandName = {};
+  }
+  this.selectorIndex = null;
+};
+
+/**
+ * Get the inline listeners of a command on a node. Inline listeners are
+ * stored by node in WeakMaps, which can't be enumerated, so those dropped by
+ * `restoreSnapshot` are only removed here, once their node is visited.
+ *
+ * @param {String} commandName
+ * @param {DOMNode} element
+ * @returns {Array<InlineListener>}
+ */
+CommandRegistry.prototype.getInlineListeners = function(commandName, element) {
+  var listenersForCommand = this.inlineListenersByCommandName[commandName];
+  var listenersForElement = listenersForCommand != null ? listenersForCommand.get(element) : null;
+  var records = this.inlineListenerRecordsByCommandName[commandName] || {};
+  var listeners;
+  if (listenersForElement == null) {
+    return [];
+  }
+  listeners = listenersForElement.filter(function(listener) {
+    return records.hasOwnProperty(listener.sequenceNumber);
   });
+  if (listeners.length !== listenersForElement.length) {
+    listenersForElement.splice.apply(listenersForElement, [0, listenersForElement.length].concat(listeners));
+    if (listeners.length === 0) {
+      listenersForCommand.delete(element);
+    }
+  }
+  return listeners;
 };
+
+/**
+ * Get the scope grouping the listeners added through it under a name, such
+ * as the name of a package.
+ *
+ * @param {String} name
+ * @returns {CommandScope} The same scope for a name until it is disposed.
+ */
+CommandRegistry.prototype.scope = function(name) {
+  if (!this.scopes.hasOwnProperty(name)) {
+    this.scopes[name] = new CommandScope(this, name);
+  }
+  return this.scopes[name];
+};
+
+CommandRegistry.prototype.removeScope = function(scope) {
+  if (this.scopes[scope.name] === scope) {
+    delete this.scopes[scope.name];
+  }
+};
+
 /**
  * Find all registered commands matching a query.
  *
@@ -188,102 +742,1111 @@ CommandRegistry.prototype.addInlineListener = function(element, commandName, cal
  * @returns {Array<Object>} With the following keys:
  *   - `name` The name of the command e.g. `user:insert-date`.
  *   - `displayName` The display name of the command e.g. `User: Insert Date`.
+ *   - `description`, `tags`, `hiddenInCommandPalette` and `args` when the
+ *     command was registered with a descriptor providing them.
+ *   - `keyBindings` The keystrokes triggering the command on the target, when
+ *     a key binding provider was set with `setKeyBindingProvider`.
+ *   - `enabled` Set to `false` when every matching listener is disabled.
  */
 CommandRegistry.prototype.findCommands = function(arg) {
-  var commandName, commandNames, commands, currentTarget, i, len, listener, listeners, name, ref2, ref3, ref4, target;
+  var aliases, commands, commandsByName, currentTarget, isInContext, name, target, targetTree, visit;
   target = arg.target;
-  commandNames = new Set;
+  isInContext = this.isInContext.bind(this);
+  targetTree = this.targetTree;
+  commandsByName = {};
   commands = [];
   currentTarget = target;
-  while (true) {
-    ref2 = this.inlineListenersByCommandName;
-    for (name in ref2) {
-      listeners = ref2[name];
-      if (listeners.has(currentTarget) && !commandNames.has(name)) {
-        commandNames.add(name);
-        commands.push({
-          name: name,
-          displayName: _.humanizeEventName(name)
-        });
-      }
+  aliases = this.aliases;
+  visit = function(commandName, listener) {
+    var command = commandsByName[commandName];
+    var enabled;
+    if (aliases.hasOwnProperty(commandName)) {
+      return;
     }
-    ref3 = this.selectorBasedListenersByCommandName;
-    for (commandName in ref3) {
-      listeners = ref3[commandName];
-      for (i = 0, len = listeners.length; i < len; i++) {
-        listener = listeners[i];
-        if (typeof currentTarget.webkitMatchesSelector === 'function' ? currentTarget.webkitMatchesSelector(listener.selector) : void 0) {
-          if (!commandNames.has(commandName)) {
-            commandNames.add(commandName);
-            commands.push({
-              name: commandName,
-              displayName: _.humanizeEventName(commandName)
-            });
-          }
-        }
+    if (!isInContext(listener)) {
+      return;
+    }
+    enabled = isListenerEnabled(listener, currentTarget, target);
+    if (command == null) {
+      command = commandsByName[commandName] = _.extend({
+        name: commandName
+      }, listener.descriptor);
+      if (!enabled) {
+        command.enabled = false;
       }
+      commands.push(command);
+    } else if (enabled && command.enabled === false) {
+      delete command.enabled;
+    }
+  };
+  while (currentTarget != null) {
+    for (name in this.inlineListenersByCommandName) {
+      this.getInlineListeners(name, currentTarget).forEach(visit.bind(null, name));
     }
-    if (currentTarget === window) {
-      break;
+    if (this.canMatchSelectors(currentTarget)) {
+      this.getSelectorIndex().getCandidates(currentTarget).forEach(function(listener) {
+        if (targetTree.matchesSelector(currentTarget, listener.selector)) {
+          visit(listener.commandName, listener);
+        }
+      });
     }
-    currentTarget = (ref4 = currentTarget.parentNode) != null ? ref4 : window;
+    currentTarget = targetTree.getParent(currentTarget);
+  }
+  if (this.keyBindingProvider != null) {
+    this.addKeyBindings(commands, target);
   }
   return commands;
 };
 
-CommandRegistry.prototype.dispatch = function(target, commandName, detail) {
-  var event;
-  event = new CustomEvent(commandName, {
+/**
+ * Check which commands are enabled on a target, and invoke the callbacks
+ * registered with `onDidChangeEnabled` for each command whose state changed
+ * since the last check. Call it whenever the application state the `enabled`
+ * predicates depend on changes, so menus and buttons can follow along. It
+ * runs again on the last target by itself when a context key changes.
+ * Commands no longer found on the target, e.g. because their `when` clause
+ * stopped holding, are reported as disabled.
+ *
+ * @param {DOMNode} target The node to check commands on, e.g. the focused
+ *   element. Defaults to the root node.
+ *
+ * @returns {Array<Object>} The changes, as passed to the callbacks.
+ */
+CommandRegistry.prototype.updateEnabledState = function(target) {
+  var previousStates = this.enabledStates;
+  var changes = [];
+  var name;
+  if (target == null) {
+    target = this.rootNode;
+  }
+  this.enabledStates = {};
+  this.enabledStateTarget = target;
+  this.findCommands({
+    target: target
+  }).forEach((function(_this) {
+    return function(command) {
+      var enabled = command.enabled !== false;
+      var previous = previousStates.hasOwnProperty(command.name) ? previousStates[command.name] : true;
+      _this.enabledStates[command.name] = enabled;
+      if (enabled !== previous) {
+        changes.push({
+          name: command.name,
+          enabled: enabled,
+          target: target
+        });
+      }
+    };
+  })(this));
+  for (name in previousStates) {
+    if (!this.enabledStates.hasOwnProperty(name)) {
+      this.enabledStates[name] = false;
+      if (previousStates[name]) {
+        changes.push({
+          name: name,
+          enabled: false,
+          target: target
+        });
+      }
+    }
+  }
+  changes.forEach((function(_this) {
+    return function(change) {
+      _this.emitter.emit('did-change-enabled', change);
+    };
+  })(this));
+  return changes;
+};
+
+/**
+ * Invoke a callback when `updateEnabledState` finds that a command was
+ * enabled or disabled.
+ *
+ * @param {Function} callback Called with an Object with the command `name`,
+ *   whether it is now `enabled` and the `target` it was checked on.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidChangeEnabled = function(callback) {
+  return this.emitter.on('did-change-enabled', callback);
+};
+
+CommandRegistry.prototype.addKeyBindings = function(commands, target) {
+  var keystrokesByCommandName = {};
+  var resolveCommandName = this.resolveCommandName.bind(this);
+  this.keyBindingProvider.findKeyBindings({
+    target: target
+  }).forEach(function(binding) {
+    var commandName = resolveCommandName(binding.command);
+    var keystrokes = keystrokesByCommandName[commandName] || (keystrokesByCommandName[commandName] = []);
+    if (keystrokes.indexOf(binding.keystrokes) === -1) {
+      keystrokes.push(binding.keystrokes);
+    }
+  });
+  commands.forEach(function(command) {
+    command.keyBindings = keystrokesByCommandName[command.name] || [];
+  });
+};
+
+/**
+ * Set the object `findCommands` asks for the key bindings of the commands it
+ * returns, usually a `KeymapManager`.
+ *
+ * @param {Object} provider Implements `findKeyBindings({target})`, returning
+ *   the bindings reachable from `target` as Objects with `command` and
+ *   `keystrokes` keys. Pass `null` to stop reporting key bindings.
+ */
+CommandRegistry.prototype.setKeyBindingProvider = function(provider) {
+  this.keyBindingProvider = provider;
+};
+
+CommandRegistry.prototype.buildCommandEvent = function(target, commandName, detail, options) {
+  var event, key;
+  event = this.targetTree.createEvent(commandName, {
     bubbles: true,
     detail: detail
   });
   Object.defineProperty(event, 'target', {
     value: target
   });
-  return this.handleCommandEvent(event);
+  for (key in options) {
+    event[key] = options[key];
+  }
+  return event;
 };
 
-CommandRegistry.prototype.onWillDispatch = function(callback) {
-  return this.emitter.on('will-dispatch', callback);
+/**
+ * Simulate the invocation of a command on a target.
+ *
+ * @param {DOMNode} target The node the command is dispatched on.
+ * @param {String} commandName The name of the command, e.g. `user:insert-date`.
+ * @param {Object} detail Passed to listeners as `event.detail`.
+ * @param {Object} options Extra properties to set on the dispatched event,
+ *   such as an `abortKeyBinding` function, or the `source` of the command:
+ *   `'keybinding'`, `'menu'`, `'macro'` and `'command-line'` are set by
+ *   this package, and palettes should pass `'palette'`.
+ *
+ * @returns {Boolean} Whether any listener matched the command.
+ * @throws {CommandArgumentError} When `detail` doesn't match the `args`
+ *   schema of the command.
+ */
+CommandRegistry.prototype.dispatch = function(target, commandName, detail, options) {
+  return this.handleCommandEvent(this.buildCommandEvent(target, commandName, detail, options));
 };
 
-CommandRegistry.prototype.onDidDispatch = function(callback) {
-  return this.emitter.on('did-dispatch', callback);
+/**
+ * Like `dispatch`, but waits for the values returned by the listeners. A
+ * listener may return a Promise to signal that it is still doing work; the
+ * dispatch only completes, and `onDidDispatch` callbacks are only invoked,
+ * once every returned Promise has settled.
+ *
+ * @param {DOMNode} target The node the command is dispatched on.
+ * @param {String} commandName The name of the command, e.g. `user:insert-date`.
+ * @param {Object} detail Passed to listeners as `event.detail`.
+ * @param {Object} options Extra properties to set on the dispatched event.
+ *
+ * @returns {Promise} Resolves with an Object with the following keys:
+ *   - `matched` Whether any listener matched the command.
+ *   - `results` An Array with one entry per invoked listener, in invocation
+ *     order, shaped like the entries of `Promise.allSettled`:
+ *     `{status: 'fulfilled', value}` or `{status: 'rejected', reason}`. A
+ *     listener that throws is recorded as rejected instead of aborting the
+ *     dispatch. Rejections are also reported through `onDidFailDispatch`.
+ *   Rejects with a `CommandArgumentError` when `detail` doesn't match the
+ *   `args` schema of the command.
+ */
+CommandRegistry.prototype.dispatchAsync = function(target, commandName, detail, options) {
+  var emitter = this.emitter;
+  var history = this.history;
+  var completion = null;
+  var result;
+  try {
+    result = this.invokeListeners(this.buildCommandEvent(target, commandName, detail, options), true, function(invocation) {
+      completion = Promise.all(invocation.returnValues.map(function(value) {
+        return Promise.resolve(value).then(function(result) {
+          return {
+            status: 'fulfilled',
+            value: result
+          };
+        }, function(reason) {
+          return {
+            status: 'rejected',
+            reason: reason
+          };
+        });
+      })).then(function(results) {
+        results.forEach(function(result, index) {
+          if (result.status === 'rejected') {
+            emitter.emit('did-fail-dispatch', createFailure(invocation, index, result.reason));
+          }
+        });
+        history.push(invocation.undoSteps.filter(function(step) {
+          return results[step.index].status === 'fulfilled';
+        }));
+        emitter.emit('did-dispatch', invocation.event);
+        return {
+          matched: invocation.matched,
+          results: results
+        };
+      });
+      return completion;
+    });
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  return Promise.resolve(result).then(function() {
+    return completion != null ? completion : {
+      matched: false,
+      results: []
+    };
+  });
 };
 
-CommandRegistry.prototype.getSnapshot = function() {
-  var commandName, listeners, ref2, snapshot;
-  snapshot = {};
-  ref2 = this.selectorBasedListenersByCommandName;
-  for (commandName in ref2) {
-    listeners = ref2[commandName];
-    snapshot[commandName] = listeners.slice();
-  }
-  return snapshot;
+/**
+ * Register a command running other commands in sequence, e.g. a command
+ * refreshing every tab. Each step is dispatched with `dispatchAsync` once the
+ * previous one completed, with `source: 'macro'` on its event, and the macro
+ * stops at the first step that no listener matched or whose listeners failed.
+ *
+ * @param {String|DOMNode} target A selector or node, as in `add`.
+ * @param {String} commandName The name of the macro command.
+ * @param {Array<Object>} steps See `runMacro`.
+ * @param {Object} descriptor Metadata of the command, such as its
+ *   `displayName` or `description`, as in `add`.
+ *
+ * @returns {Disposable}
+ *
+ * @example
+ * ```js
+ * registry.addMacro('.workspace', 'connection:refresh-all', [
+ *   {command: 'tab:refresh', target: firstTab},
+ *   {command: 'tab:refresh', target: secondTab}
+ * ]);
+ * ```
+ */
+CommandRegistry.prototype.addMacro = function(target, commandName, steps, descriptor) {
+  steps = steps.slice();
+  return this.add(target, commandName, _.extend({}, descriptor, {
+    didDispatch: (function(_this) {
+      return function(event) {
+        return macros.runMacro(_this, event.target, steps, event);
+      };
+    })(this)
+  }));
 };
 
-CommandRegistry.prototype.restoreSnapshot = function(snapshot) {
-  var commandName, listeners;
-  this.selectorBasedListenersByCommandName = {};
-  for (commandName in snapshot) {
-    listeners = snapshot[commandName];
-    this.selectorBasedListenersByCommandName[commandName] = listeners.slice();
-  }
+/**
+ * Dispatch a sequence of commands, e.g. steps recorded by a `MacroRecorder`.
+ *
+ * @param {DOMNode} target The default target of the steps.
+ * @param {Array<Object>} steps With the following keys:
+ *   - `command` The name of the command to dispatch.
+ *   - `detail` Its `event.detail`, or a function returning it.
+ *   - `target` The node to dispatch it on, or a function returning it.
+ *     Defaults to `target`.
+ *
+ * @returns {Promise} Resolves once every step completed. Rejects with an
+ *   Error with the `step` index and `command` of the first step that no
+ *   listener matched, or whose listeners failed, as `cause`.
+ */
+CommandRegistry.prototype.runMacro = function(target, steps) {
+  return macros.runMacro(this, target, steps, null);
 };
 
-CommandRegistry.prototype.handleCommandEvent = function(event) {
-  var abortKeyBinding, currentTarget, dispatchedEvent, i, immediatePropagationStopped, j, key, len, len1, listener, listeners, matched, preventDefault, propagationStopped, ref2, ref3, ref4, ref5, ref6, selectorBasedListeners, stopImmediatePropagation, stopPropagation;
-  propagationStopped = false;
-  immediatePropagationStopped = false;
-  matched = false;
-  currentTarget = event.target;
-  preventDefault = event.preventDefault, stopPropagation = event.stopPropagation, stopImmediatePropagation = event.stopImmediatePropagation, abortKeyBinding = event.abortKeyBinding;
-  dispatchedEvent = new CustomEvent(event.type, {
-    bubbles: true,
-    detail: event.detail
-  });
-  Object.defineProperty(dispatchedEvent, 'eventPhase', {
-    value: Event.BUBBLING_PHASE
+/**
+ * Get the schema command lines of a command are read with: the first `args`
+ * schema of its listeners.
+ *
+ * @param {String} commandName
+ * @returns {Object|null}
+ */
+CommandRegistry.prototype.getCommandLineSchema = function(commandName) {
+  var schemas = this.getArgumentSchemas(this.resolveCommandName(commandName));
+  return schemas.length > 0 ? schemas[0] : null;
+};
+
+/**
+ * Parse a command line such as `app:open-collection --db test --coll users`,
+ * see `lib/command-line.js`.
+ *
+ * @param {String} source
+ * @returns {Object} With the command `name` and its `detail`.
+ * @throws {CommandLineError} With the `errors` of the command line.
+ */
+CommandRegistry.prototype.parseCommandLine = function(source) {
+  return commandLine.parse(source, this.getCommandLineSchema.bind(this));
+};
+
+/**
+ * Format a command and its detail as a command line.
+ *
+ * @param {String} commandName
+ * @param {Object} detail An Object, or `null`.
+ * @returns {String}
+ * @throws {CommandLineError} When the detail is not an Object.
+ */
+CommandRegistry.prototype.formatCommandLine = function(commandName, detail) {
+  return commandLine.format(commandName, detail);
+};
+
+/**
+ * Get the completions of the word before the cursor of a command line: the
+ * names of the commands found on the target, the options of the command or
+ * the values of an option, from the command's argument schema.
+ *
+ * @param {DOMNode} target
+ * @param {String} source
+ * @param {Number} cursor The offset of the cursor. Defaults to the end of
+ *   the command line.
+ *
+ * @returns {Object} With the `start` and `end` offsets of the word to
+ *   replace, and the `candidates` to replace it with.
+ */
+CommandRegistry.prototype.completeCommandLine = function(target, source, cursor) {
+  var commandNames = this.findCommands({
+    target: target
+  }).map(function(command) {
+    return command.name;
+  });
+  return commandLine.complete(source, cursor != null ? cursor : source.length, commandNames, this.getCommandLineSchema.bind(this));
+};
+
+/**
+ * Parse a command line and dispatch its command on a target. The event has
+ * `command-line` as its `source`.
+ *
+ * @param {DOMNode} target
+ * @param {String} source
+ *
+ * @returns {Boolean} Whether any listener matched the command.
+ * @throws {CommandLineError} When the command line can't be parsed.
+ * @throws {CommandArgumentError} When its options don't match the argument
+ *   schema of the command.
+ */
+CommandRegistry.prototype.dispatchCommandLine = function(target, source) {
+  var parsed = this.parseCommandLine(source);
+  return this.dispatch(target, parsed.name, parsed.detail, {
+    source: 'command-line'
+  });
+};
+
+/**
+ * Search the commands that can be invoked on a target, as a command palette
+ * would. Commands are matched fuzzily on both their `name` and their
+ * `displayName`, and commands dispatched often or recently rank higher,
+ * according to the statistics of the registry's `UsageTracker`. Commands
+ * registered with `hiddenInCommandPalette` are left out.
+ *
+ * @param {Object} params
+ *   - `target` A DOM node that is the hypothetical target of the commands.
+ *   - `query` The text to match. All commands are returned when empty.
+ *   - `limit` The maximum number of results to return.
+ *
+ * @returns {Array<Object>} The entries returned by `findCommands`, best match
+ *   first, with the following additional keys:
+ *   - `score` The rank of the command, higher is better.
+ *   - `matches` An Object with the `name` and `displayName` ranges of matched
+ *     characters, as `[start, end)` pairs.
+ */
+CommandRegistry.prototype.searchCommands = function(params) {
+  var query = params.query || '';
+  var now = Date.now();
+  var results = [];
+  this.findCommands({
+    target: params.target
+  }).forEach((function(_this) {
+    return function(command) {
+      var nameMatch, displayNameMatch;
+      if (command.hiddenInCommandPalette) {
+        return;
+      }
+      nameMatch = fuzzyMatch(query, command.name);
+      displayNameMatch = fuzzyMatch(query, command.displayName);
+      if (nameMatch == null && displayNameMatch == null) {
+        return;
+      }
+      results.push(_.extend({}, command, {
+        score: Math.max(nameMatch ? nameMatch.score : 0, displayNameMatch ? displayNameMatch.score : 0) + _this.usageScore(command.name, now),
+        matches: {
+          name: nameMatch ? nameMatch.ranges : [],
+          displayName: displayNameMatch ? displayNameMatch.ranges : []
+        }
+      }));
+    };
+  })(this));
+  results.sort(function(a, b) {
+    return b.score - a.score || a.displayName.localeCompare(b.displayName);
+  });
+  return params.limit != null ? results.slice(0, params.limit) : results;
+};
+
+/**
+ * Rank a command by how often it was dispatched, with a bonus for recent use
+ * that halves every hour.
+ */
+CommandRegistry.prototype.usageScore = function(commandName, now) {
+  var stats = this.usageTracker.getCommandStats(commandName);
+  if (stats == null) {
+    return 0;
+  }
+  return 2 * Math.log(1 + stats.count) / Math.LN2 + 10 * Math.pow(0.5, (now - stats.lastUsedAt) / RECENT_USE_HALF_LIFE);
+};
+
+/**
+ * Set the `UsageTracker` whose statistics `searchCommands` ranks commands
+ * with, e.g. one saving them across sessions. The registry starts with a
+ * tracker without storage, whose statistics are merged into `tracker`.
+ * `tracker` stays set, and keeps recording, when the registry is cleared.
+ *
+ * @param {UsageTracker} tracker A tracker created for this registry.
+ */
+CommandRegistry.prototype.setUsageTracker = function(tracker) {
+  if (tracker === this.usageTracker) {
+    return;
+  }
+  tracker.merge(this.usageTracker.toJSON());
+  this.usageTracker.dispose();
+  this.usageTracker = tracker;
+};
+
+/**
+ * Revert the most recently dispatched undoable command, or transaction.
+ *
+ * @returns {Boolean} Whether there was anything to undo.
+ */
+CommandRegistry.prototype.undo = function() {
+  return this.history.undo();
+};
+
+/**
+ * Apply the most recently undone command, or transaction, again.
+ *
+ * @returns {Boolean} Whether there was anything to redo.
+ */
+CommandRegistry.prototype.redo = function() {
+  return this.history.redo();
+};
+
+CommandRegistry.prototype.canUndo = function() {
+  return this.history.canUndo();
+};
+
+CommandRegistry.prototype.canRedo = function() {
+  return this.history.canRedo();
+};
+
+/**
+ * Group every undoable command dispatched while `fn` runs, so a single
+ * `undo` reverts all of them.
+ *
+ * @param {Function} fn
+ *
+ * @returns {*} The return value of `fn`.
+ */
+CommandRegistry.prototype.transact = function(fn) {
+  return this.history.transact(fn);
+};
+
+CommandRegistry.prototype.clearHistory = function() {
+  this.history.clear();
+};
+
+/**
+ * Invoke a callback when the undo or redo stack changes.
+ *
+ * @param {Function} callback Called with an Object with the following keys:
+ *   - `canUndo` and `canRedo` Booleans.
+ *   - `undoCommandName` and `redoCommandName` The name of the command `undo`
+ *     and `redo` would revert or apply, or `null`.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidChangeHistory = function(callback) {
+  return this.history.onDidChange(callback);
+};
+
+/**
+ * Make a command available under another name, e.g. its name before it was
+ * renamed. Dispatching the alias, or a DOM event named after it, invokes the
+ * listeners of the command with an event named after the command. Aliases
+ * are left out of `findCommands`.
+ *
+ * @param {String} aliasName The other name, e.g. `old:name`.
+ * @param {String} commandName The name of the command, e.g. `new:name`.
+ * @param {Object} options
+ *   - `deprecated` If `true`, the first dispatch of the alias is reported
+ *     through `onDidUseDeprecatedCommand`.
+ *   - `message` Explains what to use instead.
+ *
+ * @returns {Disposable} Removes the alias.
+ */
+CommandRegistry.prototype.alias = function(aliasName, commandName, options) {
+  var alias;
+  options = options || {};
+  if (this.resolveCommandName(commandName) === aliasName) {
+    throw new Error('Can\'t alias ' + aliasName + ' to ' + commandName + ', which is an alias of ' + aliasName + '.');
+  }
+  alias = this.aliases[aliasName] = {
+    name: aliasName,
+    commandName: commandName,
+    deprecated: !!options.deprecated,
+    message: options.message != null ? options.message : null,
+    reported: false
+  };
+  this.commandRegistered(aliasName);
+  return new Disposable((function(_this) {
+    return function() {
+      if (_this.aliases[aliasName] === alias) {
+        delete _this.aliases[aliasName];
+        _this.commandUnregistered(aliasName);
+      }
+    };
+  })(this));
+};
+
+/**
+ * Follow the aliases of a command name.
+ *
+ * @param {String} commandName
+ * @returns {String} The name of the command `commandName` is an alias of,
+ *   or `commandName` itself.
+ */
+CommandRegistry.prototype.resolveCommandName = function(commandName) {
+  while (this.aliases.hasOwnProperty(commandName)) {
+    commandName = this.aliases[commandName].commandName;
+  }
+  return commandName;
+};
+
+CommandRegistry.prototype.reportDeprecatedAliases = function(commandName) {
+  var alias, usage;
+  while (this.aliases.hasOwnProperty(commandName)) {
+    alias = this.aliases[commandName];
+    if (alias.deprecated && !alias.reported) {
+      alias.reported = true;
+      usage = {
+        name: alias.name,
+        commandName: alias.commandName,
+        message: alias.message
+      };
+      if (this.emitter.listenerCountForEventName('did-use-deprecated-command') > 0) {
+        this.emitter.emit('did-use-deprecated-command', usage);
+      } else {
+        warnDeprecation(alias.name + ' is deprecated, use ' + alias.commandName + ' instead.' + (alias.message != null ? ' ' + alias.message : ''));
+      }
+    }
+    commandName = alias.commandName;
+  }
+};
+
+/**
+ * Invoke a callback the first time a deprecated alias is dispatched. When
+ * nothing is subscribed, the deprecation is emitted as a Node
+ * `DeprecationWarning` instead, or logged to the console where there is no
+ * `process.emitWarning`.
+ *
+ * @param {Function} callback Called with an Object with the `name` of the
+ *   alias, the `commandName` it is an alias of, and the `message` it was
+ *   deprecated with.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidUseDeprecatedCommand = function(callback) {
+  return this.emitter.on('did-use-deprecated-command', callback);
+};
+
+/**
+ * Invoke a callback when a listener throws, or a listener invoked by
+ * `dispatchAsync` returns a rejected Promise. The remaining listeners are
+ * still invoked unless the registry's `errorPolicy` is `'stop'`. Errors
+ * thrown during `dispatch` are thrown again asynchronously when nothing is
+ * subscribed, so they reach `window.onerror` without interrupting the
+ * dispatch. Being uncaught, they end headless Node processes: subscribe,
+ * or use the `'throw'` error policy to catch them around `dispatch`.
+ *
+ * @param {Function} callback Called with an Object with the following keys:
+ *   - `event` The dispatched event.
+ *   - `commandName` The name of the command.
+ *   - `listener` The callback that failed.
+ *   - `selector` The selector of the listener, or `null` for a listener
+ *     added on a node.
+ *   - `currentTarget` The node the listener was invoked on.
+ *   - `error` The thrown error or rejection reason.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidFailDispatch = function(callback) {
+  return this.emitter.on('did-fail-dispatch', callback);
+};
+
+/**
+ * Start or stop recording a trace of every dispatch, listing the nodes the
+ * event bubbled through, the listeners matched on each of them with their
+ * selector and specificity, which of them ran, failed, were disabled or
+ * skipped because propagation stopped, and how long each took. Traces are
+ * passed to `onDidTrace` callbacks and kept in a ring buffer returned by
+ * `getTraces`, e.g. to attach to bug reports.
+ *
+ * @param {Boolean} enabled
+ * @param {Object} options
+ *   - `bufferSize` How many of the most recent traces to keep. Defaults to
+ *     50.
+ */
+CommandRegistry.prototype.setTracingEnabled = function(enabled, options) {
+  this.tracingEnabled = !!enabled;
+  if (options != null && options.bufferSize != null) {
+    this.traceBufferSize = options.bufferSize;
+    this.traces.splice(0, Math.max(0, this.traces.length - this.traceBufferSize));
+  }
+};
+
+CommandRegistry.prototype.isTracingEnabled = function() {
+  return this.tracingEnabled;
+};
+
+/**
+ * @returns {Array<Object>} The most recent traces, oldest first, as
+ *   described in `DispatchTrace.prototype.toJSON`.
+ */
+CommandRegistry.prototype.getTraces = function() {
+  return this.traces.slice();
+};
+
+CommandRegistry.prototype.clearTraces = function() {
+  this.traces = [];
+};
+
+/**
+ * Invoke a callback with the trace of each dispatch while tracing is
+ * enabled with `setTracingEnabled`.
+ *
+ * @param {Function} callback Called with the trace, once the listeners ran
+ *   or a middleware cancelled the dispatch.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidTrace = function(callback) {
+  return this.emitter.on('did-trace', callback);
+};
+
+CommandRegistry.prototype.recordTrace = function(trace) {
+  var json = trace.toJSON();
+  this.traces.push(json);
+  if (this.traces.length > this.traceBufferSize) {
+    this.traces.shift();
+  }
+  this.emitter.emit('did-trace', json);
+};
+
+CommandRegistry.prototype.onWillDispatch = function(callback) {
+  return this.emitter.on('will-dispatch', callback);
+};
+
+/**
+ * Invoke a callback after the listeners of each dispatched command ran,
+ * unless a middleware cancelled the dispatch.
+ *
+ * @param {Function} callback Called with the dispatched event, whose
+ *   `matched` property tells whether any listener matched the command.
+ *
+ * @returns {Disposable}
+ */
+CommandRegistry.prototype.onDidDispatch = function(callback) {
+  return this.emitter.on('did-dispatch', callback);
+};
+
+/**
+ * Take a snapshot of the registered listeners, to restore them later with
+ * `restoreSnapshot`, or inspect them through its `toJSON` and `diff` methods.
+ *
+ * @param {String} scopeName Only include the listeners added through the
+ *   scope with this name.
+ *
+ * @returns {CommandSnapshot}
+ */
+CommandRegistry.prototype.getSnapshot = function(scopeName) {
+  var commandName, listeners, records, sequenceNumber;
+  var selectorBasedListeners = {};
+  var inlineListeners = [];
+  var inScope = function(listener) {
+    return scopeName == null || listener.scopeName === scopeName;
+  };
+  for (commandName in this.selectorBasedListenersByCommandName) {
+    listeners = this.selectorBasedListenersByCommandName[commandName].filter(inScope);
+    if (listeners.length > 0) {
+      selectorBasedListeners[commandName] = listeners;
+    }
+  }
+  for (commandName in this.inlineListenerRecordsByCommandName) {
+    records = this.inlineListenerRecordsByCommandName[commandName];
+    for (sequenceNumber in records) {
+      if (inScope(records[sequenceNumber])) {
+        inlineListeners.push(records[sequenceNumber]);
+      }
+    }
+  }
+  return new CommandSnapshot(selectorBasedListeners, inlineListeners);
+};
+
+/**
+ * Return the registry to the listeners of a snapshot taken with
+ * `getSnapshot`. Listeners added since are removed, and selector-based
+ * listeners removed since are added back. Inline listeners are not kept
+ * alive by snapshots, so those removed since can't be added back. The
+ * commands added, updated and removed are reported in one batch.
+ *
+ * @param {CommandSnapshot} snapshot
+ * @param {String} scopeName Only restore the listeners of the scope with
+ *   this name, leaving the others alone. The snapshot may include listeners
+ *   of other scopes, which are ignored.
+ */
+CommandRegistry.prototype.restoreSnapshot = function(snapshot, scopeName) {
+  var changesBefore, commandName, listeners, records, sequenceNumber;
+  var selectorBasedListeners = {};
+  var inlineListenerRecords = {};
+  var outOfScope = function(listener) {
+    return scopeName != null && listener.scopeName !== scopeName;
+  };
+  var inScope = function(listener) {
+    return !outOfScope(listener);
+  };
+  var bySequenceNumber = function(a, b) {
+    return a.sequenceNumber - b.sequenceNumber;
+  };
+  var keepRecord = function(record) {
+    if (inlineListenerRecords[record.commandName] == null) {
+      inlineListenerRecords[record.commandName] = {};
+    }
+    inlineListenerRecords[record.commandName][record.sequenceNumber] = record;
+  };
+  for (commandName in this.selectorBasedListenersByCommandName) {
+    listeners = this.selectorBasedListenersByCommandName[commandName].filter(outOfScope);
+    if (listeners.length > 0) {
+      selectorBasedListeners[commandName] = listeners;
+    }
+  }
+  for (commandName in snapshot.selectorBasedListenersByCommandName) {
+    listeners = snapshot.selectorBasedListenersByCommandName[commandName].filter(inScope);
+    if (listeners.length > 0) {
+      selectorBasedListeners[commandName] = (selectorBasedListeners[commandName] || []).concat(listeners).sort(bySequenceNumber);
+      this.commandRegistered(commandName);
+    }
+  }
+  for (commandName in this.inlineListenerRecordsByCommandName) {
+    records = this.inlineListenerRecordsByCommandName[commandName];
+    for (sequenceNumber in records) {
+      if (outOfScope(records[sequenceNumber])) {
+        keepRecord(records[sequenceNumber]);
+      }
+    }
+  }
+  snapshot.inlineListeners.filter(inScope).forEach((function(_this) {
+    return function(record) {
+      var records = _this.inlineListenerRecordsByCommandName[record.commandName];
+      if (records != null && records.hasOwnProperty(record.sequenceNumber)) {
+        keepRecord(records[record.sequenceNumber]);
+      }
+    };
+  })(this));
+  changesBefore = this.getListenerChanges();
+  this.selectorBasedListenersByCommandName = selectorBasedListeners;
+  this.inlineListenerRecordsByCommandName = inlineListenerRecords;
+  this.invalidateSelectorIndex();
+  this.emitListenerChanges(changesBefore, this.getListenerChanges());
+  for (commandName in this.registeredCommands) {
+    this.commandUnregistered(commandName);
+  }
+};
+
+/**
+ * Get the change events of every registered listener, as passed to
+ * `onDidAddCommand` callbacks. Records don't keep the nodes of inline
+ * listeners alive, so their `element` is `null`.
+ *
+ * @returns {Object} The changes by the sequence number of their listener.
+ */
+CommandRegistry.prototype.getListenerChanges = function() {
+  var changes = {};
+  var commandName, records, sequenceNumber;
+  for (commandName in this.selectorBasedListenersByCommandName) {
+    this.selectorBasedListenersByCommandName[commandName].forEach(function(listener) {
+      changes[listener.sequenceNumber] = {
+        name: listener.commandName,
+        selector: listener.selector,
+        metadata: listener.descriptor
+      };
+    });
+  }
+  for (commandName in this.inlineListenerRecordsByCommandName) {
+    records = this.inlineListenerRecordsByCommandName[commandName];
+    for (sequenceNumber in records) {
+      changes[sequenceNumber] = {
+        name: commandName,
+        element: null,
+        metadata: records[sequenceNumber].descriptor
+      };
+    }
+  }
+  return changes;
+};
+
+/**
+ * Emit the change events going from the listeners of `before` to those of
+ * `after`, in one batch, as if the added listeners were added and then the
+ * removed ones disposed. Commands with listeners both before and after are
+ * only updated.
+ *
+ * @param {Object} before Returned by `getListenerChanges`.
+ * @param {Object} after Returned by `getListenerChanges`.
+ */
+CommandRegistry.prototype.emitListenerChanges = function(before, after) {
+  var counts = {};
+  var sequenceNumber;
+  for (sequenceNumber in before) {
+    counts[before[sequenceNumber].name] = (counts[before[sequenceNumber].name] || 0) + 1;
+  }
+  this.batchCommandChanges((function(_this) {
+    return function() {
+      var change;
+      for (sequenceNumber in after) {
+        if (!before.hasOwnProperty(sequenceNumber)) {
+          change = after[sequenceNumber];
+          counts[change.name] = (counts[change.name] || 0) + 1;
+          _this.emitCommandChange(counts[change.name] === 1 ? 'did-add-command' : 'did-update-command', change);
+        }
+      }
+      for (sequenceNumber in before) {
+        if (!after.hasOwnProperty(sequenceNumber)) {
+          change = before[sequenceNumber];
+          _this.emitCommandChange(--counts[change.name] > 0 ? 'did-update-command' : 'did-remove-command', change);
+        }
+      }
+    };
+  })(this));
+};
+
+/**
+ * Get the argument schemas declared by the listeners of a command.
+ *
+ * @param {String} commandName
+ * @returns {Array<Object>} The distinct `args` of the listeners.
+ */
+CommandRegistry.prototype.getArgumentSchemas = function(commandName) {
+  var schemas = [];
+  var records = this.inlineListenerRecordsByCommandName[commandName] || {};
+  var sequenceNumber;
+  var addSchema = function(descriptor) {
+    if (descriptor.args != null && schemas.indexOf(descriptor.args) === -1) {
+      schemas.push(descriptor.args);
+    }
+  };
+  (this.selectorBasedListenersByCommandName[commandName] || []).forEach(function(listener) {
+    addSchema(listener.descriptor);
+  });
+  for (sequenceNumber in records) {
+    addSchema(records[sequenceNumber].descriptor);
+  }
+  return schemas;
+};
+
+/**
+ * Validate the `detail` of a command against its argument schemas.
+ *
+ * @param {String} commandName
+ * @param {*} detail
+ * @returns {*} The `detail`, with the defaults of the schemas.
+ * @throws {CommandArgumentError}
+ */
+CommandRegistry.prototype.validateDetail = function(commandName, detail) {
+  var errors = [];
+  this.getArgumentSchemas(commandName).forEach(function(schema) {
+    var result = argumentSchema.validate(schema, detail);
+    detail = result.value;
+    errors.push.apply(errors, result.errors);
+  });
+  if (errors.length > 0) {
+    throw new CommandArgumentError(commandName, errors);
+  }
+  return detail;
+};
+
+/**
+ * Get the listeners of a command on a node, in invocation order: inline
+ * listeners first, then selector-based listeners by decreasing specificity.
+ * Only the most specific selector of a list matching the node is kept.
+ *
+ * @param {String} commandName
+ * @param {DOMNode} node
+ * @returns {Array<SelectorBasedListener|InlineListener>}
+ */
+CommandRegistry.prototype.findListeners = function(commandName, node) {
+  var targetTree = this.targetTree;
+  var isInContext = this.isInContext.bind(this);
+  var groups = [];
+  var candidates = this.canMatchSelectors(node) ? this.getSelectorIndex(commandName).getCandidates(node) : [];
+  var selectorBasedListeners = candidates.filter(function(listener) {
+    if (!isInContext(listener) || !targetTree.matchesSelector(node, listener.selector)) {
+      return false;
+    }
+    if (listener.group != null) {
+      if (groups.indexOf(listener.group) !== -1) {
+        return false;
+      }
+      groups.push(listener.group);
+    }
+    return true;
+  });
+  return this.getInlineListeners(commandName, node).filter(isInContext).concat(selectorBasedListeners);
+};
+
+/**
+ * Whether selector-based listeners may match a node, which they don't inside
+ * shadow trees unless the `matchShadowTrees` option is set.
+ *
+ * @param {DOMNode} node
+ * @returns {Boolean}
+ */
+CommandRegistry.prototype.canMatchSelectors = function(node) {
+  return this.matchShadowTrees || typeof this.targetTree.isInShadowTree !== 'function' || !this.targetTree.isInShadowTree(node);
+};
+
+/**
+ * Whether the `when` clause of a listener, if any, holds for the current
+ * context keys.
+ *
+ * @param {SelectorBasedListener|InlineListener} listener
+ * @returns {Boolean}
+ */
+CommandRegistry.prototype.isInContext = function(listener) {
+  return listener.when == null || this.contextKeys.evaluate(listener.when);
+};
+
+CommandRegistry.prototype.handleCommandEvent = function(event) {
+  var matched = false;
+  // Events bubbling through nested roots are captured by each of them.
+  if (this.handledEvents.has(event)) {
+    return false;
+  }
+  this.handledEvents.add(event);
+  this.invokeListeners(event, false, (function(_this) {
+    return function(invocation) {
+      // Nobody waits for the Promises returned by listeners here, so report
+      // their rejections.
+      invocation.returnValues.forEach(function(value, index) {
+        if (value != null && typeof value.then === 'function') {
+          value.then(null, function(error) {
+            reportFailure(_this.emitter, createFailure(invocation, index, error));
+          });
+        }
+      });
+      _this.history.push(invocation.undoSteps);
+      _this.emitter.emit('did-dispatch', invocation.event);
+      return matched = invocation.matched;
+    };
+  })(this));
+  return matched;
+};
+
+/**
+ * Add a middleware to the pipeline every dispatch goes through before its
+ * listeners run. Middleware can inspect or rewrite `event.detail`, cancel
+ * the dispatch by not calling `next`, or wrap the listeners, e.g. to time
+ * them or capture their errors. The first middleware added runs first.
+ *
+ * @param {Function} middleware Called with the dispatched event and a `next`
+ *   function running the rest of the pipeline, then the listeners. `next`
+ *   returns what the dispatch does: whether any listener matched for
+ *   `dispatch`, and a Promise for `dispatchAsync`. For asynchronous
+ *   middleware, return a Promise settling after calling `next` and use
+ *   `dispatchAsync`, which waits for it.
+ *
+ * @returns {Disposable} Removes the middleware.
+ *
+ * @example
+ * ```js
+ * registry.use(function(event, next) {
+ *   if (event.type === 'app:delete-all' && !confirm('Delete everything?')) {
+ *     return false;
+ *   }
+ *   return next();
+ * });
+ * ```
+ */
+CommandRegistry.prototype.use = function(middleware) {
+  var middlewares = this.middleware;
+  if (typeof middleware !== 'function') {
+    throw new Error('Can\'t use a non-function middleware.');
+  }
+  middlewares.push(middleware);
+  return new Disposable(function() {
+    var index = middlewares.indexOf(middleware);
+    if (index !== -1) {
+      middlewares.splice(index, 1);
+    }
+  });
+};
+
+CommandRegistry.prototype.runMiddleware = function(event, invoke) {
+  var middlewares = this.middleware.slice();
+  var run = function(index) {
+    var called = false;
+    if (index === middlewares.length) {
+      return invoke();
+    }
+    return middlewares[index](event, function() {
+      if (called) {
+        throw new Error('next() called multiple times by a command middleware.');
+      }
+      called = true;
+      return run(index + 1);
+    });
+  };
+  return run(0);
+};
+
+/**
+ * Run a command event through the middleware pipeline, then invoke its
+ * listeners as it bubbles from its target up to the root of the target tree.
+ *
+ * @param {Event} event The command event.
+ * @param {Boolean} catchErrors Record errors thrown by listeners as rejected
+ *   Promises in `returnValues`, for the caller to report, instead of
+ *   reporting them right away.
+ * @param {Function} complete Called once the listeners ran, with an Object
+ *   with the synthetic `event` seen by listeners, whether any listener
+ *   `matched`, the `returnValues` of the `invokedListeners` and the
+ *   `undoSteps` recorded by undoable listeners, each with the `index` of its
+ *   listener's return value. Not called when a middleware cancels the
+ *   dispatch. Its return value is returned by `next` to the middleware.
+ *
+ * @returns {*} The return value of the first middleware, or of `complete`.
+ * @throws {CommandArgumentError} When the detail of the event doesn't match
+ *   the argument schemas of the command.
+ */
+CommandRegistry.prototype.invokeListeners = function(event, catchErrors, complete) {
+  var abortKeyBinding, commandName, currentTarget, detail, dispatchedEvent, emitter, errorPolicy, i, immediatePropagationStopped, invoked, key, len, preventDefault, propagationStopped, ref2, result, stopImmediatePropagation, stopPropagation, targetTree, trace;
+  targetTree = this.targetTree;
+  emitter = this.emitter;
+  errorPolicy = this.errorPolicy;
+  propagationStopped = false;
+  immediatePropagationStopped = false;
+  currentTarget = originalTarget(event);
+  preventDefault = event.preventDefault, stopPropagation = event.stopPropagation, stopImmediatePropagation = event.stopImmediatePropagation, abortKeyBinding = event.abortKeyBinding;
+  commandName = this.resolveCommandName(event.type);
+  if (commandName !== event.type) {
+    this.reportDeprecatedAliases(event.type);
+  }
+  detail = this.validateDetail(commandName, event.detail);
+  invoked = false;
+  dispatchedEvent = this.targetTree.createEvent(commandName, {
+    bubbles: true,
+    detail: detail
+  });
+  Object.defineProperty(dispatchedEvent, 'detail', {
+    value: detail,
+    writable: true
+  });
+  Object.defineProperty(dispatchedEvent, 'eventPhase', {
+    value: BUBBLING_PHASE
   });
   Object.defineProperty(dispatchedEvent, 'currentTarget', {
     get: function() {
@@ -321,44 +1884,179 @@ CommandRegistry.prototype.handleCommandEvent = function(event) {
     key = ref2[i];
     dispatchedEvent[key] = event[key];
   }
+  trace = this.tracingEnabled ? new DispatchTrace(dispatchedEvent, targetTree) : null;
   this.emitter.emit('will-dispatch', dispatchedEvent);
-  while (true) {
-    listeners = (ref3 = (ref4 = this.inlineListenersByCommandName[event.type]) != null ? ref4.get(currentTarget) : void 0) != null ? ref3 : [];
-    if (currentTarget.webkitMatchesSelector != null) {
-      selectorBasedListeners = ((ref5 = this.selectorBasedListenersByCommandName[event.type]) != null ? ref5 : []).filter(function(listener) {
-        return currentTarget.webkitMatchesSelector(listener.selector);
-      }).sort(function(a, b) {
-        return a.compare(b);
+  result = this.runMiddleware(dispatchedEvent, (function(_this) {
+    return function() {
+      var entry, j, len1, listener, listeners, returnValue;
+      var failed = false;
+      var firstError = null;
+      var invocation = {
+        event: dispatchedEvent,
+        matched: false,
+        returnValues: [],
+        invokedListeners: [],
+        undoSteps: []
+      };
+      invoked = true;
+      if (dispatchedEvent.detail !== detail) {
+        dispatchedEvent.detail = _this.validateDetail(commandName, dispatchedEvent.detail);
+      }
+      _this.dispatchDepth++;
+      try {
+        while (currentTarget != null) {
+          if (trace != null) {
+            trace.visit(currentTarget);
+          }
+          listeners = _this.findListeners(commandName, currentTarget).filter(function(listener) {
+            var enabled = isListenerEnabled(listener, currentTarget, dispatchedEvent.target);
+            if (!enabled && trace != null) {
+              trace.addListener(listener, 'disabled');
+            }
+            return enabled;
+          });
+          if (listeners.length > 0) {
+            invocation.matched = true;
+          }
+          for (j = 0, len1 = listeners.length; j < len1; j++) {
+            listener = listeners[j];
+            if (immediatePropagationStopped) {
+              if (trace != null) {
+                listeners.slice(j).forEach(function(skipped) {
+                  trace.addListener(skipped, 'skipped');
+                });
+              }
+              break;
+            }
+            invocation.invokedListeners.push({
+              listener: listener,
+              currentTarget: currentTarget
+            });
+            entry = trace != null ? trace.addListener(listener, 'invoked') : null;
+            try {
+              invocation.returnValues.push(entry != null ? trace.time(entry, listener.callback.bind(currentTarget, dispatchedEvent)) : listener.callback.call(currentTarget, dispatchedEvent));
+            } catch (error) {
+              if (entry != null) {
+                entry.status = 'failed';
+              }
+              if (catchErrors) {
+                invocation.returnValues.push(Promise.reject(error));
+              } else {
+                invocation.returnValues.push(void 0);
+                reportFailure(emitter, createFailure(invocation, invocation.returnValues.length - 1, error), errorPolicy === 'throw');
+                if (!failed) {
+                  failed = true;
+                  firstError = error;
+                }
+              }
+              if (errorPolicy === 'stop') {
+                propagationStopped = true;
+                immediatePropagationStopped = true;
+              }
+              continue;
+            }
+            if (listener.undo != null) {
+              invocation.undoSteps.push(createUndoStep(commandName, listener, currentTarget, dispatchedEvent, invocation.returnValues.length - 1));
+            }
+          }
+          if (propagationStopped) {
+            if (trace != null) {
+              _this.traceSkippedAncestors(trace, commandName, targetTree.getParent(currentTarget));
+            }
+            break;
+          }
+          currentTarget = targetTree.getParent(currentTarget);
+        }
+      } finally {
+        _this.dispatchDepth--;
+      }
+      if (trace != null) {
+        trace.finish(invocation.matched, false);
+        _this.recordTrace(trace);
+      }
+      Object.defineProperty(dispatchedEvent, 'matched', {
+        value: invocation.matched
       });
-      listeners = listeners.concat(selectorBasedListeners);
-    }
-    if (listeners.length > 0) {
-      matched = true;
-    }
-    for (j = 0, len1 = listeners.length; j < len1; j++) {
-      listener = listeners[j];
-      if (immediatePropagationStopped) {
-        break;
+      returnValue = complete(invocation);
+      if (failed && errorPolicy === 'throw') {
+        throw firstError;
       }
-      listener.callback.call(currentTarget, dispatchedEvent);
-    }
-    if (currentTarget === window) {
-      break;
-    }
-    if (propagationStopped) {
-      break;
+      return returnValue;
+    };
+  })(this));
+  if (trace != null && !invoked) {
+    if (result != null && typeof result.then === 'function') {
+      result.then((function(_this) {
+        return function() {
+          if (!invoked) {
+            trace.finish(false, true);
+            _this.recordTrace(trace);
+          }
+        };
+      })(this), function() {});
+    } else {
+      trace.finish(false, true);
+      this.recordTrace(trace);
     }
-    currentTarget = (ref6 = currentTarget.parentNode) != null ? ref6 : window;
   }
-  this.emitter.emit('did-dispatch', dispatchedEvent);
-  return matched;
+  return result;
+};
+
+/**
+ * Record the listeners a stopped dispatch didn't reach on the remaining
+ * ancestors as skipped.
+ */
+CommandRegistry.prototype.traceSkippedAncestors = function(trace, commandName, node) {
+  while (node != null) {
+    trace.visit(node);
+    this.findListeners(commandName, node).forEach(function(listener) {
+      trace.addListener(listener, 'skipped');
+    });
+    node = this.targetTree.getParent(node);
+  }
 };
 
 CommandRegistry.prototype.commandRegistered = function(commandName) {
-  if ((this.rootNode != null) && !this.registeredCommands[commandName]) {
-    this.rootNode.addEventListener(commandName, this.handleCommandEvent, true);
-    return this.registeredCommands[commandName] = true;
+  if (!this.registeredCommands[commandName]) {
+    this.registeredCommands[commandName] = true;
+    this.rootNodes.forEach((function(_this) {
+      return function(rootNode) {
+        rootNode.addEventListener(commandName, _this.handleCommandEvent, true);
+      };
+    })(this));
   }
 };
 
+/**
+ * Stop listening to a command on the roots once it has no listeners left
+ * and is not an alias.
+ */
+CommandRegistry.prototype.commandUnregistered = function(commandName) {
+  if (this.registeredCommands[commandName] && !this.hasListeners(commandName) && !this.aliases.hasOwnProperty(commandName)) {
+    delete this.registeredCommands[commandName];
+    this.removeRootListeners(commandName);
+  }
+};
+
+CommandRegistry.prototype.removeRootListeners = function(commandName) {
+  this.rootNodes.forEach((function(_this) {
+    return function(rootNode) {
+      rootNode.removeEventListener(commandName, _this.handleCommandEvent, true);
+    };
+  })(this));
+};
+
+CommandRegistry.KeymapManager = require('./lib/keymap-manager');
+CommandRegistry.CommandBridge = require('./lib/command-bridge');
+CommandRegistry.MenuManager = require('./lib/menu-manager');
+CommandRegistry.CommandScope = CommandScope;
+CommandRegistry.CommandSnapshot = CommandSnapshot;
+CommandRegistry.CommandArgumentError = CommandArgumentError;
+CommandRegistry.CommandLineError = commandLine.CommandLineError;
+CommandRegistry.MacroRecorder = macros.MacroRecorder;
+CommandRegistry.UsageTracker = UsageTracker;
+CommandRegistry.ContextKeyService = ContextKeyService;
+CommandRegistry.domTargetTree = targetTrees.domTargetTree;
+CommandRegistry.objectTargetTree = targetTrees.objectTargetTree;
+
 module.exports = CommandRegistry;
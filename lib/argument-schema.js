@@ -0,0 +1,200 @@
+/**
+ * Validation of command arguments against the schemas commands declare with
+ * the `args` key of their descriptor. Schemas are a subset of JSON Schema:
+ *
+ *   - `type` One of `string`, `number`, `integer`, `boolean`, `object`,
+ *     `array` and `null`, or an Array of them.
+ *   - `enum` The allowed values.
+ *   - `minimum`, `maximum`, `exclusiveMinimum` and `exclusiveMaximum` for
+ *     numbers.
+ *   - `minLength`, `maxLength` and `pattern` for strings.
+ *   - `properties`, `required` and `additionalProperties` for objects.
+ *   - `items`, `minItems` and `maxItems` for arrays.
+ *   - `default` The value used when the argument is missing.
+ *   - `title` and `description`, for palettes prompting for arguments.
+ */
+var _ = require('underscore-plus');
+
+/**
+ * The error thrown when dispatching a command with a `detail` that doesn't
+ * match its schema.
+ *
+ * @param {String} commandName
+ * @param {Array<Object>} errors With the `path` of the invalid value, e.g.
+ *   `detail.limit`, a `message` and the schema `keyword` it violates.
+ */
+function CommandArgumentError(commandName, errors) {
+  this.name = 'CommandArgumentError';
+  this.code = 'EBADARGS';
+  this.commandName = commandName;
+  this.errors = errors;
+  this.message = 'Invalid arguments for ' + commandName + ': ' + errors.map(function(error) {
+    return error.path + ' ' + error.message;
+  }).join(', ');
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, CommandArgumentError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+CommandArgumentError.prototype = Object.create(Error.prototype);
+CommandArgumentError.prototype.constructor = CommandArgumentError;
+
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' && isFinite(value) && Math.floor(value) === value;
+    case 'number':
+      return typeof value === 'number' && isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function cloneDefault(value) {
+  return value != null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value;
+}
+
+/**
+ * Check a value against a schema, filling in the defaults of missing object
+ * properties. The value itself is left untouched: objects are copied before
+ * defaults are added to them.
+ */
+function check(schema, value, path, errors) {
+  var types, properties, required, name, result;
+  var fail = function(keyword, message) {
+    errors.push({
+      path: path,
+      message: message,
+      keyword: keyword
+    });
+  };
+  if (schema.type != null) {
+    types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(function(type) {
+      return matchesType(type, value);
+    })) {
+      fail('type', 'must be ' + types.join(' or '));
+      return value;
+    }
+  }
+  if (schema.enum != null && !schema.enum.some(function(allowed) {
+    return _.isEqual(allowed, value);
+  })) {
+    fail('enum', 'must be one of ' + schema.enum.map(function(allowed) {
+      return JSON.stringify(allowed);
+    }).join(', '));
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      fail('minimum', 'must be >= ' + schema.minimum);
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      fail('maximum', 'must be <= ' + schema.maximum);
+    }
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', 'must be > ' + schema.exclusiveMinimum);
+    }
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', 'must be < ' + schema.exclusiveMaximum);
+    }
+  }
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      fail('minLength', 'must have at least ' + schema.minLength + ' characters');
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      fail('maxLength', 'must have at most ' + schema.maxLength + ' characters');
+    }
+    if (schema.pattern != null && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', 'must match ' + schema.pattern);
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      fail('minItems', 'must have at least ' + schema.minItems + ' items');
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      fail('maxItems', 'must have at most ' + schema.maxItems + ' items');
+    }
+    if (schema.items != null) {
+      return value.map(function(item, index) {
+        return check(schema.items, item, path + '[' + index + ']', errors);
+      });
+    }
+  }
+  if (typeOf(value) === 'object') {
+    properties = schema.properties || {};
+    required = schema.required || [];
+    result = _.extend({}, value);
+    required.forEach(function(property) {
+      if (result[property] === undefined && (properties[property] == null || properties[property].default === undefined)) {
+        fail('required', 'must have property ' + property);
+      }
+    });
+    for (name in properties) {
+      if (result[name] === undefined) {
+        if (properties[name].default !== undefined) {
+          result[name] = cloneDefault(properties[name].default);
+        }
+      } else {
+        result[name] = check(properties[name], result[name], path + '.' + name, errors);
+      }
+    }
+    if (schema.additionalProperties != null && schema.additionalProperties !== true) {
+      for (name in result) {
+        if (!properties.hasOwnProperty(name) && result.hasOwnProperty(name)) {
+          if (schema.additionalProperties === false) {
+            fail('additionalProperties', 'must not have property ' + name);
+          } else {
+            result[name] = check(schema.additionalProperties, result[name], path + '.' + name, errors);
+          }
+        }
+      }
+    }
+    return result;
+  }
+  return value;
+}
+
+/**
+ * Validate the `detail` of a command against its schema. A missing `detail`
+ * takes the schema's `default`, or is treated as an empty Object when the
+ * schema describes an Object, so property defaults and `required` apply.
+ *
+ * @param {Object} schema
+ * @param {*} detail
+ *
+ * @returns {Object} With the `value` to dispatch, defaults included, and the
+ *   validation `errors`, empty when the detail is valid.
+ */
+function validate(schema, detail) {
+  var errors = [];
+  var value;
+  if (detail == null) {
+    if (schema.default !== undefined) {
+      detail = cloneDefault(schema.default);
+    } else if (schema.type === 'object' || schema.properties != null) {
+      detail = {};
+    }
+  }
+  value = check(schema, detail, 'detail', errors);
+  return {
+    value: value,
+    errors: errors
+  };
+}
+
+exports.CommandArgumentError = CommandArgumentError;
+exports.validate = validate;
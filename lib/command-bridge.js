@@ -0,0 +1,350 @@
+var kit = require('event-kit');
+var Disposable = kit.Disposable;
+var CompositeDisposable = kit.CompositeDisposable;
+
+var DEFAULT_NAMESPACE = 'hadron-command-registry';
+var DEFAULT_TIMEOUT = 30000;
+
+var BridgeCount = 0;
+
+/**
+ * Subscribe to the messages of a channel, which either implements
+ * `onMessage(callback)` or is a `MessagePort`-like object implementing
+ * `addEventListener('message', callback)`.
+ */
+function subscribe(channel, callback) {
+  var subscription, listener;
+  if (typeof channel.onMessage === 'function') {
+    subscription = channel.onMessage(callback);
+    return new Disposable(function() {
+      if (typeof subscription === 'function') {
+        subscription();
+      } else if (subscription != null && typeof subscription.dispose === 'function') {
+        subscription.dispose();
+      }
+    });
+  }
+  listener = function(event) {
+    callback(event.data);
+  };
+  channel.addEventListener('message', listener);
+  return new Disposable(function() {
+    channel.removeEventListener('message', listener);
+  });
+}
+
+/**
+ * Connects a `CommandRegistry` to a registry in another process or window
+ * through a message channel. Each side publishes the commands available on
+ * its target, again whenever commands are added, updated or removed, and the
+ * other side registers a proxy listener for each of them on its own
+ * `proxyTarget`. Dispatching a proxied command forwards it to the peer,
+ * which dispatches it on its target and sends back whether it matched.
+ *
+ * Channels only need a `postMessage(message)` method and either an
+ * `onMessage(callback)` method or `addEventListener('message', callback)`,
+ * like a `MessagePort`. Messages are plain JSON-serializable objects, so
+ * command `detail`s must be too. For Electron IPC, wrap `ipcRenderer` and
+ * `webContents` in such an object.
+ *
+ * @param {CommandRegistry} registry
+ * @param {Object} channel
+ * @param {Object} options
+ *   - `target` The node forwarded commands are dispatched on, or a function
+ *     returning it. Defaults to the registry's root node.
+ *   - `proxyTarget` A selector or node to register the peer's commands on.
+ *     Defaults to `target`.
+ *   - `namespace` Tags the bridge's messages, so channels can be shared.
+ *   - `timeout` How many milliseconds to wait for the peer to answer a
+ *     dispatch. Defaults to 30000.
+ *
+ * @example
+ * ```js
+ * var channels = CommandBridge.createChannelPair();
+ * var mainBridge = new CommandBridge(mainRegistry, channels[0], {target: app});
+ * var windowBridge = new CommandBridge(windowRegistry, channels[1]);
+ * mainBridge.dispatch('window:reload').then(function(matched) {});
+ * ```
+ */
+function CommandBridge(registry, channel, options) {
+  options = options || {};
+  this.registry = registry;
+  this.channel = channel;
+  this.target = options.target;
+  this.proxyTarget = options.proxyTarget;
+  this.namespace = options.namespace || DEFAULT_NAMESPACE;
+  this.timeout = options.timeout != null ? options.timeout : DEFAULT_TIMEOUT;
+  this.id = BridgeCount++;
+  this.requestCount = 0;
+  this.pendingRequests = {};
+  this.proxies = new CompositeDisposable();
+  this.proxiedCommandNames = [];
+  this.registeringProxies = false;
+  this.publishTimeout = null;
+  this.disposed = false;
+  this.subscription = subscribe(channel, this.handleMessage.bind(this));
+  this.registrySubscriptions = new CompositeDisposable(
+    registry.onDidAddCommand(this.schedulePublish.bind(this)),
+    registry.onDidUpdateCommand(this.schedulePublish.bind(this)),
+    registry.onDidRemoveCommand(this.schedulePublish.bind(this))
+  );
+  this.publish();
+  this.post({
+    type: 'sync'
+  });
+}
+
+CommandBridge.prototype.getTarget = function() {
+  var target = this.target != null ? this.target : this.registry.rootNode;
+  return typeof target === 'function' ? target() : target;
+};
+
+CommandBridge.prototype.getProxyTarget = function() {
+  return this.proxyTarget != null ? this.proxyTarget : this.getTarget();
+};
+
+CommandBridge.prototype.post = function(message) {
+  message.namespace = this.namespace;
+  this.channel.postMessage(message);
+};
+
+/**
+ * Send the commands available on the target to the peer. Commands proxied
+ * from the peer are left out.
+ */
+CommandBridge.prototype.publish = function() {
+  var target = this.getTarget();
+  var proxied = this.proxiedCommandNames;
+  var commands = target == null ? [] : this.registry.findCommands({
+    target: target
+  }).filter(function(command) {
+    return proxied.indexOf(command.name) === -1;
+  }).map(function(command) {
+    var published = {};
+    ['name', 'displayName', 'description', 'tags', 'hiddenInCommandPalette', 'args'].forEach(function(key) {
+      if (command[key] !== undefined) {
+        published[key] = command[key];
+      }
+    });
+    return published;
+  });
+  this.post({
+    type: 'commands',
+    commands: commands
+  });
+};
+
+/**
+ * Publish the commands again once the current task completes, so the
+ * registration changes it makes are sent in one message. Changes made by
+ * registering the peer's commands are ignored.
+ */
+CommandBridge.prototype.schedulePublish = function() {
+  if (this.registeringProxies || this.publishTimeout != null) {
+    return;
+  }
+  this.publishTimeout = setTimeout((function(_this) {
+    return function() {
+      _this.publishTimeout = null;
+      _this.publish();
+    };
+  })(this), 0);
+};
+
+/**
+ * Dispatch a command on the peer's target.
+ *
+ * @param {String} commandName
+ * @param {Object} detail A JSON-serializable `event.detail`.
+ *
+ * @returns {Promise} Resolves with whether any of the peer's listeners
+ *   matched the command, once they all completed. Rejects when the peer
+ *   does not answer in time or its dispatch threw.
+ */
+CommandBridge.prototype.dispatch = function(commandName, detail) {
+  var id = this.id + ':' + this.requestCount++;
+  var pendingRequests = this.pendingRequests;
+  var timeout = this.timeout;
+  var promise;
+  if (this.disposed) {
+    return Promise.reject(new Error('The command bridge was disposed.'));
+  }
+  promise = new Promise(function(resolve, reject) {
+    pendingRequests[id] = {
+      resolve: resolve,
+      reject: reject,
+      timeout: timeout > 0 ? setTimeout(function() {
+        delete pendingRequests[id];
+        reject(new Error('Timed out dispatching ' + commandName + ' to the peer registry.'));
+      }, timeout) : null
+    };
+  });
+  this.post({
+    type: 'dispatch',
+    id: id,
+    name: commandName,
+    detail: detail
+  });
+  return promise;
+};
+
+CommandBridge.prototype.handleMessage = function(message) {
+  if (message == null || message.namespace !== this.namespace) {
+    return;
+  }
+  switch (message.type) {
+    case 'sync':
+      this.publish();
+      break;
+    case 'commands':
+      this.registerProxies(message.commands);
+      break;
+    case 'dispatch':
+      this.handleDispatch(message);
+      break;
+    case 'dispatch-result':
+      this.handleDispatchResult(message);
+      break;
+    default:
+      break;
+  }
+};
+
+CommandBridge.prototype.registerProxies = function(commands) {
+  this.registeringProxies = true;
+  try {
+    this.replaceProxies(commands);
+  } finally {
+    this.registeringProxies = false;
+  }
+};
+
+CommandBridge.prototype.replaceProxies = function(commands) {
+  var proxyTarget = this.getProxyTarget();
+  this.proxies.dispose();
+  this.proxies = new CompositeDisposable();
+  this.proxiedCommandNames = commands.map(function(command) {
+    return command.name;
+  });
+  if (proxyTarget == null) {
+    return;
+  }
+  commands.forEach((function(_this) {
+    return function(command) {
+      var descriptor = {};
+      Object.keys(command).forEach(function(key) {
+        if (key !== 'name') {
+          descriptor[key] = command[key];
+        }
+      });
+      descriptor.didDispatch = function(event) {
+        return _this.dispatch(command.name, event.detail);
+      };
+      _this.proxies.add(_this.registry.add(proxyTarget, command.name, descriptor));
+    };
+  })(this));
+};
+
+CommandBridge.prototype.handleDispatch = function(message) {
+  var target = this.getTarget();
+  var post = this.post.bind(this);
+  var result;
+  if (target == null) {
+    post({
+      type: 'dispatch-result',
+      id: message.id,
+      matched: false
+    });
+    return;
+  }
+  result = this.registry.dispatchAsync(target, message.name, message.detail);
+  result.then(function(dispatched) {
+    post({
+      type: 'dispatch-result',
+      id: message.id,
+      matched: dispatched.matched
+    });
+  }, function(error) {
+    post({
+      type: 'dispatch-result',
+      id: message.id,
+      matched: false,
+      error: error.message
+    });
+  });
+};
+
+CommandBridge.prototype.handleDispatchResult = function(message) {
+  var request = this.pendingRequests[message.id];
+  if (request == null) {
+    return;
+  }
+  delete this.pendingRequests[message.id];
+  clearTimeout(request.timeout);
+  if (message.error != null) {
+    request.reject(new Error(message.error));
+  } else {
+    request.resolve(message.matched);
+  }
+};
+
+/**
+ * Remove the proxies of the peer's commands, stop listening to the channel
+ * and to the registry, and reject the dispatches still waiting for an
+ * answer.
+ */
+CommandBridge.prototype.dispose = function() {
+  var id, request;
+  this.disposed = true;
+  this.subscription.dispose();
+  this.registrySubscriptions.dispose();
+  clearTimeout(this.publishTimeout);
+  this.publishTimeout = null;
+  this.proxies.dispose();
+  this.proxiedCommandNames = [];
+  for (id in this.pendingRequests) {
+    request = this.pendingRequests[id];
+    clearTimeout(request.timeout);
+    request.reject(new Error('The command bridge was disposed.'));
+  }
+  this.pendingRequests = {};
+};
+
+/**
+ * Create two connected in-memory channels, e.g. for tests. Messages are
+ * delivered asynchronously and copied through JSON, like they would be
+ * across processes.
+ *
+ * @returns {Array<Object>} The two ends of the channel.
+ */
+CommandBridge.createChannelPair = function() {
+  var createEnd = function() {
+    return {
+      peer: null,
+      callbacks: [],
+      postMessage: function(message) {
+        var peer = this.peer;
+        var data = JSON.stringify(message);
+        setTimeout(function() {
+          peer.callbacks.slice().forEach(function(callback) {
+            callback(JSON.parse(data));
+          });
+        }, 0);
+      },
+      onMessage: function(callback) {
+        var callbacks = this.callbacks;
+        callbacks.push(callback);
+        return new Disposable(function() {
+          callbacks.splice(callbacks.indexOf(callback), 1);
+        });
+      }
+    };
+  };
+  var first = createEnd();
+  var second = createEnd();
+  first.peer = second;
+  second.peer = first;
+  return [first, second];
+};
+
+module.exports = CommandBridge;
@@ -0,0 +1,173 @@
+var Emitter = require('event-kit').Emitter;
+
+/**
+ * Undo and redo stacks of dispatched commands. Each entry groups the steps
+ * recorded by a single dispatch, or by every dispatch of a transaction, so
+ * they are undone and redone together.
+ *
+ * A step is an Object with the following keys:
+ *   - `commandName` The name of the dispatched command.
+ *   - `undo` A function reverting the effect of the command.
+ *   - `redo` A function applying the effect of the command again.
+ */
+function CommandHistory() {
+  this.undoStack = [];
+  this.redoStack = [];
+  this.transaction = null;
+  this.transactionDepth = 0;
+  this.replaying = false;
+  this.emitter = new Emitter();
+}
+
+/**
+ * Record the steps of a dispatch. Ignored while undoing or redoing, so
+ * commands dispatched by undo handlers don't end up in the history.
+ *
+ * @param {Array<Object>} steps
+ */
+CommandHistory.prototype.push = function(steps) {
+  if (this.replaying || steps.length === 0) {
+    return;
+  }
+  if (this.transaction != null) {
+    this.transaction.push.apply(this.transaction, steps);
+    return;
+  }
+  this.undoStack.push(steps);
+  this.redoStack = [];
+  this.emitDidChange();
+};
+
+CommandHistory.prototype.canUndo = function() {
+  return this.undoStack.length > 0;
+};
+
+CommandHistory.prototype.canRedo = function() {
+  return this.redoStack.length > 0;
+};
+
+/**
+ * Revert the most recent entry, undoing its steps in reverse order. When a
+ * step throws, the steps undone before it are redone and the entry stays on
+ * the undo stack.
+ *
+ * @returns {Boolean} Whether there was anything to undo.
+ */
+CommandHistory.prototype.undo = function() {
+  var steps = this.undoStack.pop();
+  if (steps == null) {
+    return false;
+  }
+  this.replay(steps, this.undoStack, steps.slice().reverse(), 'undo', 'redo');
+  this.redoStack.push(steps);
+  this.emitDidChange();
+  return true;
+};
+
+/**
+ * Apply the most recently undone entry again. When a step throws, the steps
+ * redone before it are undone and the entry stays on the redo stack.
+ *
+ * @returns {Boolean} Whether there was anything to redo.
+ */
+CommandHistory.prototype.redo = function() {
+  var steps = this.redoStack.pop();
+  if (steps == null) {
+    return false;
+  }
+  this.replay(steps, this.redoStack, steps, 'redo', 'undo');
+  this.undoStack.push(steps);
+  this.emitDidChange();
+  return true;
+};
+
+/**
+ * Call the `method` of the steps of an entry popped from `stack`, in the
+ * given order. When one of them throws, the steps that already ran are
+ * reverted with their `rollbackMethod`, newest first, and the entry is
+ * pushed back, so it can be replayed from a consistent state.
+ */
+CommandHistory.prototype.replay = function(steps, stack, ordered, method, rollbackMethod) {
+  var completed = [];
+  this.replaying = true;
+  try {
+    ordered.forEach(function(step) {
+      step[method]();
+      completed.push(step);
+    });
+  } catch (error) {
+    completed.reverse().forEach(function(step) {
+      step[rollbackMethod]();
+    });
+    stack.push(steps);
+    throw error;
+  } finally {
+    this.replaying = false;
+  }
+};
+
+/**
+ * Group the steps of every dispatch made while `fn` runs into one entry.
+ * When `fn` returns a Promise, the transaction lasts until it settles.
+ * Nested transactions are merged into the outermost one.
+ *
+ * @param {Function} fn
+ *
+ * @returns {*} The return value of `fn`.
+ */
+CommandHistory.prototype.transact = function(fn) {
+  var result;
+  var commit = this.commitTransaction.bind(this);
+  if (this.transactionDepth++ === 0) {
+    this.transaction = [];
+  }
+  try {
+    result = fn();
+  } catch (error) {
+    commit();
+    throw error;
+  }
+  if (result != null && typeof result.then === 'function') {
+    return result.then(function(value) {
+      commit();
+      return value;
+    }, function(error) {
+      commit();
+      throw error;
+    });
+  }
+  commit();
+  return result;
+};
+
+CommandHistory.prototype.commitTransaction = function() {
+  var steps;
+  if (--this.transactionDepth === 0) {
+    steps = this.transaction;
+    this.transaction = null;
+    this.push(steps);
+  }
+};
+
+CommandHistory.prototype.clear = function() {
+  this.undoStack = [];
+  this.redoStack = [];
+  this.emitDidChange();
+};
+
+CommandHistory.prototype.emitDidChange = function() {
+  var nextUndo = this.undoStack[this.undoStack.length - 1];
+  var nextRedo = this.redoStack[this.redoStack.length - 1];
+  this.emitter.emit('did-change', {
+    canUndo: this.canUndo(),
+    canRedo: this.canRedo(),
+    undoCommandName: nextUndo ? nextUndo[nextUndo.length - 1].commandName : null,
+    redoCommandName: nextRedo ? nextRedo[nextRedo.length - 1].commandName : null
+  });
+};
+
+CommandHistory.prototype.onDidChange = function(callback) {
+  return this.emitter.on('did-change', callback);
+};
+
+module.exports = CommandHistory;
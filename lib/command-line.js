@@ -0,0 +1,442 @@
+/**
+ * A text form of command dispatches, for developer consoles, automation
+ * harnesses and scripts:
+ *
+ *   app:open-collection --db test --coll users --limit=20 --no-readonly
+ *
+ * The first word is the command name, and options set the properties of
+ * `event.detail`:
+ *
+ *   - `--key value` and `--key=value` set `detail.key`. Dotted keys such as
+ *     `--filter.name x` set nested properties.
+ *   - `--key` alone sets `detail.key` to `true`, `--no-key` to `false`.
+ *     Boolean options also take a literal `true` or `false`, as in
+ *     `--key false`.
+ *   - Repeating an option whose schema is an `array` collects its values.
+ *   - Values can be quoted with `'` or `"`. Backslashes escape the next
+ *     character, except between single quotes.
+ *
+ * Values are converted to the types the `args` schema of the command
+ * declares, and are left as Strings for commands without a schema.
+ */
+var TOKEN_SEPARATOR = /\s/;
+
+var PLAIN_VALUE = /^[\w\-.:/@,+=]+$/;
+
+var NUMBER = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+// Option names setting these would reach `Object.prototype`.
+var RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+/**
+ * The error thrown for command lines that can't be parsed.
+ *
+ * @param {String} source
+ * @param {Array<Object>} errors With the `offset` of the invalid part of the
+ *   command line, the `option` it belongs to if any, and a `message`.
+ */
+function CommandLineError(source, errors) {
+  this.name = 'CommandLineError';
+  this.code = 'EBADCOMMANDLINE';
+  this.source = source;
+  this.errors = errors;
+  this.message = 'Invalid command line: ' + errors.map(function(error) {
+    return error.message;
+  }).join(', ');
+  if (typeof Error.captureStackTrace === 'function') {
+    Error.captureStackTrace(this, CommandLineError);
+  } else {
+    this.stack = new Error(this.message).stack;
+  }
+}
+
+CommandLineError.prototype = Object.create(Error.prototype);
+CommandLineError.prototype.constructor = CommandLineError;
+
+/**
+ * Split a command line into words.
+ *
+ * @param {String} source
+ * @returns {Object} With the `tokens`, each with its `value`, its `start`
+ *   and `end` offsets and whether it was `quoted`, and the quote character
+ *   left `open` at the end of the source, if any, with its `openOffset`.
+ */
+function tokenize(source) {
+  var tokens = [];
+  var token = null;
+  var quote = null;
+  var openOffset = null;
+  var i, character;
+  for (i = 0; i < source.length; i++) {
+    character = source[i];
+    if (token == null) {
+      if (TOKEN_SEPARATOR.test(character)) {
+        continue;
+      }
+      token = {
+        value: '',
+        start: i,
+        end: i,
+        quoted: false
+      };
+      tokens.push(token);
+    }
+    if (quote != null && character === quote) {
+      quote = null;
+    } else if (character === '\\' && quote !== '\'' && i + 1 < source.length) {
+      token.value += source[++i];
+    } else if (quote == null && (character === '\'' || character === '"')) {
+      quote = character;
+      openOffset = i;
+      token.quoted = true;
+    } else if (quote == null && TOKEN_SEPARATOR.test(character)) {
+      token = null;
+      continue;
+    } else {
+      token.value += character;
+    }
+    token.end = i + 1;
+  }
+  return {
+    tokens: tokens,
+    open: quote,
+    openOffset: quote != null ? openOffset : null
+  };
+}
+
+function isOption(token) {
+  return token != null && !token.quoted && token.value.indexOf('--') === 0;
+}
+
+function isBooleanText(text) {
+  return text === 'true' || text === 'false';
+}
+
+function typesOf(schema) {
+  if (schema == null || schema.type == null) {
+    return [];
+  }
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Get the schema of a dotted option name, e.g. `filter.name`.
+ */
+function schemaForOption(schema, option) {
+  return option.split('.').reduce(function(current, key) {
+    if (current != null && current.properties != null && current.properties.hasOwnProperty(key)) {
+      return current.properties[key];
+    }
+    return null;
+  }, schema);
+}
+
+/**
+ * Convert the text of an option value to the first type of its schema it
+ * can be read as.
+ *
+ * @returns {Object} With the converted `value`, or an `error` message.
+ */
+function convertValue(text, schema) {
+  var types = typesOf(schema);
+  var i;
+  if (typeof text === 'boolean') {
+    if (types.length === 0 || types.indexOf('boolean') !== -1) {
+      return {value: text};
+    }
+    return {error: 'needs a value'};
+  }
+  if (types.length === 0) {
+    return {value: text};
+  }
+  for (i = 0; i < types.length; i++) {
+    switch (types[i]) {
+      case 'number':
+      case 'integer':
+        if (NUMBER.test(text)) {
+          return {value: Number(text)};
+        }
+        break;
+      case 'boolean':
+        if (isBooleanText(text)) {
+          return {value: text === 'true'};
+        }
+        break;
+      case 'null':
+        if (text === 'null') {
+          return {value: null};
+        }
+        break;
+      case 'object':
+      case 'array':
+        try {
+          return {value: JSON.parse(text)};
+        } catch (error) {
+          break;
+        }
+      default:
+        return {value: text};
+    }
+  }
+  return {error: 'must be ' + types.join(' or ')};
+}
+
+function setOption(detail, option, value, append) {
+  var keys = option.split('.');
+  var last = keys.pop();
+  var target = keys.reduce(function(current, key) {
+    if (current[key] == null || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    return current[key];
+  }, detail);
+  if (append) {
+    target[last] = (Array.isArray(target[last]) ? target[last] : []).concat(value);
+  } else {
+    target[last] = value;
+  }
+}
+
+/**
+ * Parse a command line.
+ *
+ * @param {String} source
+ * @param {Function} getSchema Returns the `args` schema of a command name,
+ *   or `null`.
+ *
+ * @returns {Object} With the command `name` and the `detail` to dispatch it
+ *   with, `null` when there are no options.
+ * @throws {CommandLineError}
+ */
+function parse(source, getSchema) {
+  var tokenized = tokenize(source);
+  var tokens = tokenized.tokens;
+  var errors = [];
+  var detail = null;
+  var name, schema, i, token, option, text, optionSchema, converted, equals;
+  var fail = function(offset, option, message) {
+    errors.push({
+      offset: offset,
+      option: option,
+      message: message
+    });
+  };
+  if (tokenized.open != null) {
+    fail(tokenized.openOffset, null, 'unterminated ' + tokenized.open + ' quote');
+  }
+  if (tokens.length === 0 || isOption(tokens[0])) {
+    fail(0, null, 'expected a command name');
+    throw new CommandLineError(source, errors);
+  }
+  name = tokens[0].value;
+  schema = getSchema != null ? getSchema(name) : null;
+  for (i = 1; i < tokens.length; i++) {
+    token = tokens[i];
+    if (!isOption(token)) {
+      fail(token.start, null, 'unexpected argument ' + token.value);
+      continue;
+    }
+    option = token.value.slice(2);
+    text = undefined;
+    equals = option.indexOf('=');
+    if (equals !== -1) {
+      text = option.slice(equals + 1);
+      option = option.slice(0, equals);
+    }
+    if (option === '') {
+      fail(token.start, null, 'expected an option name');
+      continue;
+    }
+    if (option.split('.').some(function(key) {
+      return RESERVED_KEYS.indexOf(key) !== -1 || RESERVED_KEYS.indexOf(key.replace(/^no-/, '')) !== -1;
+    })) {
+      fail(token.start, option, '--' + option + ' is not a valid option name');
+      continue;
+    }
+    if (text === undefined && /^no-/.test(option) && schemaForOption(schema, option) == null) {
+      option = option.slice(3);
+      text = false;
+    }
+    optionSchema = schemaForOption(schema, option);
+    if (text === undefined) {
+      if (i + 1 < tokens.length && !isOption(tokens[i + 1]) && (typesOf(optionSchema).indexOf('boolean') === -1 || isBooleanText(tokens[i + 1].value))) {
+        text = tokens[++i].value;
+      } else {
+        text = true;
+      }
+    }
+    if (typesOf(optionSchema).indexOf('array') !== -1 && typeof text === 'string' && text[0] !== '[') {
+      converted = convertValue(text, optionSchema.items);
+      if (converted.error == null) {
+        converted.append = true;
+      }
+    } else {
+      converted = convertValue(text, optionSchema);
+    }
+    if (converted.error != null) {
+      fail(token.start, option, '--' + option + ' ' + converted.error);
+      continue;
+    }
+    if (detail == null) {
+      detail = {};
+    }
+    setOption(detail, option, converted.value, converted.append);
+  }
+  if (errors.length > 0) {
+    throw new CommandLineError(source, errors.sort(function(a, b) {
+      return a.offset - b.offset;
+    }));
+  }
+  return {
+    name: name,
+    detail: detail
+  };
+}
+
+function quote(text) {
+  if (PLAIN_VALUE.test(text) && text.indexOf('--') !== 0) {
+    return text;
+  }
+  return '"' + text.replace(/["\\]/g, '\\$&') + '"';
+}
+
+function formatOptions(parts, value, option) {
+  var key;
+  if (value == null) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach(function(item) {
+      parts.push('--' + option, quote(typeof item === 'string' ? item : JSON.stringify(item)));
+    });
+  } else if (typeof value === 'object') {
+    for (key in value) {
+      if (value.hasOwnProperty(key)) {
+        formatOptions(parts, value[key], option != null ? option + '.' + key : key);
+      }
+    }
+  } else if (typeof value === 'boolean' && option != null) {
+    parts.push(value ? '--' + option : '--no-' + option);
+  } else if (option != null) {
+    parts.push('--' + option, quote(String(value)));
+  }
+}
+
+/**
+ * Format a command and its detail as a command line. `parse` reads it back
+ * to the same detail when the `args` schema of the command declares the
+ * types of its values: without a schema, values other than Booleans are
+ * read back as Strings, e.g. `{n: 3}` as `{n: '3'}`.
+ *
+ * @param {String} name
+ * @param {Object} detail An Object, or `null`.
+ * @returns {String}
+ * @throws {CommandLineError} When the detail is not an Object.
+ */
+function format(name, detail) {
+  var parts = [quote(name)];
+  if (detail != null && (typeof detail !== 'object' || Array.isArray(detail))) {
+    throw new CommandLineError(name, [{
+      offset: 0,
+      option: null,
+      message: 'the detail of ' + name + ' must be an Object'
+    }]);
+  }
+  formatOptions(parts, detail, null);
+  return parts.join(' ');
+}
+
+function completeValues(optionSchema) {
+  if (optionSchema == null) {
+    return [];
+  }
+  if (typesOf(optionSchema).indexOf('array') !== -1) {
+    return completeValues(optionSchema.items);
+  }
+  if (optionSchema.enum != null) {
+    return optionSchema.enum.map(String);
+  }
+  return typesOf(optionSchema).indexOf('boolean') !== -1 ? ['true', 'false'] : [];
+}
+
+/**
+ * Get the completions of the word before the cursor of a command line.
+ *
+ * @param {String} source
+ * @param {Number} cursor The offset of the cursor in `source`.
+ * @param {Array<String>} commandNames The commands to complete names from.
+ * @param {Function} getSchema Returns the `args` schema of a command name.
+ *
+ * @returns {Object} With the `start` and `end` offsets of the word to
+ *   replace, and the `candidates` to replace it with.
+ */
+function complete(source, cursor, commandNames, getSchema) {
+  var tokenized = tokenize(source.slice(0, cursor));
+  var tokens = tokenized.tokens;
+  var last = tokens[tokens.length - 1];
+  var current = last;
+  var index = tokens.length - 1;
+  var schema, previous, previousSchema, used, option, prefix, optionPrefix, candidates, equals;
+  if (last == null || (last.end < cursor && tokenized.open == null)) {
+    current = {
+      value: '',
+      start: cursor,
+      quoted: false
+    };
+    index = tokens.length;
+  }
+  prefix = current.value;
+  if (index === 0) {
+    return {
+      start: current.start,
+      end: cursor,
+      candidates: commandNames.filter(function(name) {
+        return name.indexOf(prefix) === 0;
+      }).sort()
+    };
+  }
+  schema = getSchema(tokens[0].value);
+  optionPrefix = '';
+  previous = tokens[index - 1];
+  if (isOption(current) && (equals = prefix.indexOf('=')) !== -1) {
+    option = prefix.slice(2, equals);
+    optionPrefix = prefix.slice(0, equals + 1);
+    prefix = prefix.slice(equals + 1);
+  } else if (!isOption(current) && isOption(previous) && previous.value.indexOf('=') === -1) {
+    previousSchema = schemaForOption(schema, previous.value.slice(2));
+    if (previousSchema != null && typesOf(previousSchema).indexOf('boolean') === -1) {
+      option = previous.value.slice(2);
+    }
+  }
+  if (option != null) {
+    candidates = completeValues(schemaForOption(schema, option)).filter(function(value) {
+      return value.indexOf(prefix) === 0;
+    }).map(function(value) {
+      return optionPrefix + quote(value);
+    });
+  } else if (prefix === '' || isOption(current)) {
+    used = tokens.slice(1, index).filter(isOption).map(function(token) {
+      return token.value.slice(2).split('=')[0];
+    });
+    candidates = Object.keys(schema != null && schema.properties != null ? schema.properties : {}).filter(function(key) {
+      return used.indexOf(key) === -1 || typesOf(schema.properties[key]).indexOf('array') !== -1;
+    }).map(function(key) {
+      return '--' + key;
+    }).filter(function(candidate) {
+      return candidate.indexOf(prefix) === 0;
+    });
+  } else {
+    candidates = [];
+  }
+  return {
+    start: current.start,
+    end: cursor,
+    candidates: candidates
+  };
+}
+
+exports.CommandLineError = CommandLineError;
+exports.tokenize = tokenize;
+exports.parse = parse;
+exports.format = format;
+exports.complete = complete;
@@ -0,0 +1,94 @@
+var kit = require('event-kit');
+var Disposable = kit.Disposable;
+var CompositeDisposable = kit.CompositeDisposable;
+var CommandSnapshot = require('./command-snapshot');
+
+/**
+ * A named group of the listeners of a `CommandRegistry`, usually everything a
+ * package registers, so they can be listed, removed or restored together.
+ * Get one with `registry.scope(name)`.
+ *
+ * @param {CommandRegistry} registry
+ * @param {String} name
+ *
+ * @example
+ * ```js
+ * var scope = registry.scope('plugin-x');
+ * scope.add('.editor', 'plugin-x:format', format);
+ * scope.getRegistrations(); // [{name: 'plugin-x:format', selector: '.editor', ...}]
+ * scope.dispose();
+ * ```
+ */
+function CommandScope(registry, name) {
+  this.registry = registry;
+  this.name = name;
+  this.disposables = new CompositeDisposable();
+}
+
+/**
+ * Add listeners to the registry as part of this scope. Takes the same
+ * arguments as `CommandRegistry.prototype.add`.
+ *
+ * @returns {Disposable}
+ */
+CommandScope.prototype.add = function(target, commandName, callback) {
+  var registry = this.registry;
+  var previousScopeName = registry.activeScopeName;
+  var disposable;
+  registry.activeScopeName = this.name;
+  try {
+    disposable = registry.add(target, commandName, callback);
+  } finally {
+    registry.activeScopeName = previousScopeName;
+  }
+  this.disposables.add(disposable);
+  return new Disposable((function(_this) {
+    return function() {
+      disposable.dispose();
+      _this.disposables.remove(disposable);
+    };
+  })(this));
+};
+
+/**
+ * @returns {Array<Object>} The JSON-serializable entries of the listeners of
+ *   this scope, as in `CommandSnapshot.prototype.toJSON`.
+ */
+CommandScope.prototype.getRegistrations = function() {
+  return this.getSnapshot().toJSON().commands;
+};
+
+/**
+ * @returns {CommandSnapshot} The listeners of this scope.
+ */
+CommandScope.prototype.getSnapshot = function() {
+  return this.registry.getSnapshot(this.name);
+};
+
+/**
+ * Return the listeners of this scope to a snapshot taken with `getSnapshot`,
+ * leaving the other listeners of the registry alone.
+ *
+ * @param {CommandSnapshot} snapshot
+ */
+CommandScope.prototype.restoreSnapshot = function(snapshot) {
+  this.registry.restoreSnapshot(snapshot, this.name);
+};
+
+/**
+ * Remove every listener of this scope from the registry, including those
+ * added back by `restoreSnapshot`.
+ */
+CommandScope.prototype.dispose = function() {
+  var disposables = this.disposables;
+  var registry = this.registry;
+  var name = this.name;
+  registry.batchCommandChanges(function() {
+    disposables.dispose();
+    registry.restoreSnapshot(new CommandSnapshot({}, []), name);
+  });
+  this.disposables = new CompositeDisposable();
+  this.registry.removeScope(this);
+};
+
+module.exports = CommandScope;
@@ -0,0 +1,115 @@
+/**
+ * The state of a `CommandRegistry`, or of one of its scopes, returned by
+ * `getSnapshot`. Its JSON form lists the registered listeners in a stable
+ * order, so snapshots can be compared in tests or written to disk:
+ *
+ * ```json
+ * {
+ *   "commands": [
+ *     {"name": "app:save", "inline": true, "metadata": {"displayName": "App: Save"}},
+ *     {"name": "app:save", "selector": ".editor", "specificity": 10, "metadata": {"displayName": "App: Save"}, "scope": "plugin-x"}
+ *   ]
+ * }
+ * ```
+ *
+ * @param {Object} selectorBasedListenersByCommandName Copies of the
+ *   registry's listener arrays.
+ * @param {Array<Object>} inlineListeners The records of the inline listeners,
+ *   with their `commandName`, `sequenceNumber`, `descriptor`, `when` and
+ *   `scopeName`.
+ */
+function CommandSnapshot(selectorBasedListenersByCommandName, inlineListeners) {
+  this.selectorBasedListenersByCommandName = selectorBasedListenersByCommandName;
+  this.inlineListeners = inlineListeners;
+}
+
+function sortKey(entry) {
+  return entry.name + '\u0000' + (entry.inline ? '' : entry.selector);
+}
+
+function createEntry(commandName, listener) {
+  var entry = {
+    name: commandName
+  };
+  if (listener.selector != null) {
+    entry.selector = listener.selector;
+    entry.specificity = listener.specificity;
+  } else {
+    entry.inline = true;
+  }
+  entry.metadata = listener.descriptor;
+  if (listener.when != null) {
+    entry.when = listener.when.source;
+  }
+  if (listener.scopeName != null) {
+    entry.scope = listener.scopeName;
+  }
+  return entry;
+}
+
+/**
+ * @returns {Object} With a `commands` Array holding an entry per listener,
+ *   sorted by command name and selector. Entries have the command `name`,
+ *   its `metadata` as returned by `findCommands`, its `when` clause and the
+ *   `scope` the listener was added through if any, and either the
+ *   `selector` and `specificity` of the listener or `inline: true` for
+ *   listeners added on a node.
+ */
+CommandSnapshot.prototype.toJSON = function() {
+  var listeners = [];
+  var commandName;
+  for (commandName in this.selectorBasedListenersByCommandName) {
+    this.selectorBasedListenersByCommandName[commandName].forEach(function(listener) {
+      listeners.push({
+        entry: createEntry(commandName, listener),
+        sequenceNumber: listener.sequenceNumber
+      });
+    });
+  }
+  this.inlineListeners.forEach(function(record) {
+    listeners.push({
+      entry: createEntry(record.commandName, record),
+      sequenceNumber: record.sequenceNumber
+    });
+  });
+  listeners.sort(function(a, b) {
+    var keyA = sortKey(a.entry);
+    var keyB = sortKey(b.entry);
+    return (keyA < keyB ? -1 : keyA > keyB ? 1 : 0) || a.sequenceNumber - b.sequenceNumber;
+  });
+  return {
+    commands: listeners.map(function(listener) {
+      return listener.entry;
+    })
+  };
+};
+
+/**
+ * Compare with another snapshot, usually a later one.
+ *
+ * @param {CommandSnapshot} other
+ *
+ * @returns {Object} With the `added` and `removed` entries of the JSON form,
+ *   going from this snapshot to `other`.
+ */
+CommandSnapshot.prototype.diff = function(other) {
+  var before = this.toJSON().commands;
+  var after = other.toJSON().commands;
+  var without = function(entries, excluded) {
+    var remaining = excluded.map(JSON.stringify);
+    return entries.filter(function(entry) {
+      var index = remaining.indexOf(JSON.stringify(entry));
+      if (index === -1) {
+        return true;
+      }
+      remaining.splice(index, 1);
+      return false;
+    });
+  };
+  return {
+    added: without(after, before),
+    removed: without(before, after)
+  };
+};
+
+module.exports = CommandSnapshot;
@@ -0,0 +1,318 @@
+var Emitter = require('event-kit').Emitter;
+
+/**
+ * `when` clauses make listeners depend on the state of the application,
+ * through the keys of a `ContextKeyService`:
+ *
+ *   - `isConnected` is true when the key is truthy.
+ *   - `!collectionReadonly` negates a clause.
+ *   - `platform == darwin`, `platform != 'win32'`, `serverVersion >= 3.6`
+ *     compare a key with a string, number, `true`, `false` or `null`.
+ *   - `&&`, `||` and parentheses combine clauses.
+ */
+var TOKEN = /^\s*(?:(\(|\)|&&|\|\||==|!=|<=|>=|<|>|!)|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|([^\s()!&|=<>'"]+))/;
+
+var COMPARISON_OPERATORS = ['==', '!=', '<', '<=', '>', '>='];
+
+var clauseCache = {};
+
+function whenClauseError(source, reason) {
+  var error = new SyntaxError(source + ' is not a valid when clause: ' + reason);
+  error.code = 'EBADWHENCLAUSE';
+  return error;
+}
+
+function tokenize(source) {
+  var tokens = [];
+  var rest = source;
+  var match;
+  while (!/^\s*$/.test(rest)) {
+    match = TOKEN.exec(rest);
+    if (match == null) {
+      throw whenClauseError(source, 'unexpected character at ' + (source.length - rest.trim().length));
+    }
+    rest = rest.slice(match[0].length);
+    if (match[1] != null) {
+      tokens.push({type: 'operator', value: match[1]});
+    } else if (match[2] != null || match[3] != null) {
+      tokens.push({type: 'string', value: (match[2] != null ? match[2] : match[3]).replace(/\\(.)/g, '$1')});
+    } else {
+      tokens.push({type: 'word', value: match[4]});
+    }
+  }
+  return tokens;
+}
+
+function parseLiteral(token) {
+  if (token.type === 'string') {
+    return token.value;
+  }
+  switch (token.value) {
+    case 'true':
+      return true;
+    case 'false':
+      return false;
+    case 'null':
+      return null;
+    default:
+      return /^-?\d+(\.\d+)?$/.test(token.value) ? Number(token.value) : token.value;
+  }
+}
+
+function parse(source) {
+  var tokens = tokenize(source);
+  var position = 0;
+  var keys = [];
+  var peek = function(value) {
+    var token = tokens[position];
+    return token != null && token.type === 'operator' && token.value === value;
+  };
+  var expect = function(value) {
+    if (!peek(value)) {
+      throw whenClauseError(source, 'expected ' + value);
+    }
+    position++;
+  };
+  var parseOr, parseAnd, parseUnary, parsePrimary, root;
+  parseOr = function() {
+    var node = parseAnd();
+    while (peek('||')) {
+      position++;
+      node = {type: 'or', left: node, right: parseAnd()};
+    }
+    return node;
+  };
+  parseAnd = function() {
+    var node = parseUnary();
+    while (peek('&&')) {
+      position++;
+      node = {type: 'and', left: node, right: parseUnary()};
+    }
+    return node;
+  };
+  parseUnary = function() {
+    if (peek('!')) {
+      position++;
+      return {type: 'not', operand: parseUnary()};
+    }
+    return parsePrimary();
+  };
+  parsePrimary = function() {
+    var token = tokens[position++];
+    var operator, value;
+    if (token == null) {
+      throw whenClauseError(source, 'unexpected end');
+    }
+    if (token.type === 'operator' && token.value === '(') {
+      value = parseOr();
+      expect(')');
+      return value;
+    }
+    if (token.type !== 'word') {
+      throw whenClauseError(source, 'unexpected ' + token.value);
+    }
+    if (tokens[position] != null && tokens[position].type === 'operator' && COMPARISON_OPERATORS.indexOf(tokens[position].value) !== -1) {
+      operator = tokens[position++].value;
+      value = tokens[position++];
+      if (value == null || value.type === 'operator') {
+        throw whenClauseError(source, 'expected a value after ' + operator);
+      }
+      keys.push(token.value);
+      return {type: 'compare', key: token.value, operator: operator, value: parseLiteral(value)};
+    }
+    if (token.value === 'true' || token.value === 'false') {
+      return {type: 'literal', value: token.value === 'true'};
+    }
+    keys.push(token.value);
+    return {type: 'key', key: token.value};
+  };
+  root = parseOr();
+  if (position < tokens.length) {
+    throw whenClauseError(source, 'unexpected ' + tokens[position].value);
+  }
+  return {
+    root: root,
+    keys: keys
+  };
+}
+
+function compare(operator, actual, expected) {
+  var numeric = typeof expected === 'number' && actual != null && actual !== '' && !isNaN(Number(actual));
+  var equal;
+  if (operator === '==' || operator === '!=') {
+    equal = typeof actual === typeof expected ? actual === expected : actual != null && expected != null && String(actual) === String(expected);
+    return operator === '==' ? equal : !equal;
+  }
+  if (numeric) {
+    actual = Number(actual);
+  } else if (actual == null || expected == null) {
+    return false;
+  } else {
+    actual = String(actual);
+    expected = String(expected);
+  }
+  switch (operator) {
+    case '<':
+      return actual < expected;
+    case '<=':
+      return actual <= expected;
+    case '>':
+      return actual > expected;
+    default:
+      return actual >= expected;
+  }
+}
+
+function evaluateNode(node, getValue) {
+  switch (node.type) {
+    case 'or':
+      return evaluateNode(node.left, getValue) || evaluateNode(node.right, getValue);
+    case 'and':
+      return evaluateNode(node.left, getValue) && evaluateNode(node.right, getValue);
+    case 'not':
+      return !evaluateNode(node.operand, getValue);
+    case 'literal':
+      return node.value;
+    case 'compare':
+      return compare(node.operator, getValue(node.key), node.value);
+    default:
+      return !!getValue(node.key);
+  }
+}
+
+/**
+ * A parsed `when` clause.
+ *
+ * @param {String} source
+ */
+function WhenClause(source) {
+  var parsed = parse(source);
+  this.source = source;
+  this.root = parsed.root;
+  this.keys = parsed.keys;
+}
+
+/**
+ * @param {Function} getValue Returns the value of a context key.
+ * @returns {Boolean}
+ */
+WhenClause.prototype.evaluate = function(getValue) {
+  return evaluateNode(this.root, getValue);
+};
+
+/**
+ * Parse a `when` clause.
+ *
+ * @param {String} source
+ * @returns {WhenClause}
+ * @throws {SyntaxError} With an `EBADWHENCLAUSE` code when the clause is
+ *   invalid.
+ */
+function parseWhenClause(source) {
+  if (typeof source !== 'string') {
+    throw whenClauseError(String(source), 'expected a String');
+  }
+  if (!clauseCache.hasOwnProperty(source)) {
+    clauseCache[source] = new WhenClause(source);
+  }
+  return clauseCache[source];
+}
+
+/**
+ * Holds the context keys `when` clauses are evaluated against, such as
+ * `isConnected` or `platform`, and caches the results of the clauses until
+ * a key they depend on changes.
+ *
+ * @param {Object} values The initial values of the keys.
+ */
+function ContextKeyService(values) {
+  this.values = {};
+  this.results = {};
+  this.emitter = new Emitter();
+  if (values != null) {
+    this.set(values);
+  }
+}
+
+ContextKeyService.prototype.get = function(key) {
+  return this.values.hasOwnProperty(key) ? this.values[key] : undefined;
+};
+
+ContextKeyService.prototype.has = function(key) {
+  return this.values.hasOwnProperty(key);
+};
+
+/**
+ * Set the value of a key, or of several keys at once.
+ *
+ * @param {String|Object} key A key, or an Object of keys and values.
+ * @param {*} value
+ */
+ContextKeyService.prototype.set = function(key, value) {
+  var values = key;
+  var changedKeys = [];
+  if (typeof key === 'string') {
+    values = {};
+    values[key] = value;
+  }
+  for (key in values) {
+    if (!this.values.hasOwnProperty(key) || this.values[key] !== values[key]) {
+      this.values[key] = values[key];
+      changedKeys.push(key);
+    }
+  }
+  this.didChangeKeys(changedKeys);
+};
+
+ContextKeyService.prototype.delete = function(key) {
+  if (this.values.hasOwnProperty(key)) {
+    delete this.values[key];
+    this.didChangeKeys([key]);
+  }
+};
+
+ContextKeyService.prototype.didChangeKeys = function(changedKeys) {
+  var source;
+  if (changedKeys.length === 0) {
+    return;
+  }
+  for (source in this.results) {
+    if (clauseCache[source].keys.some(function(key) {
+      return changedKeys.indexOf(key) !== -1;
+    })) {
+      delete this.results[source];
+    }
+  }
+  this.emitter.emit('did-change', {
+    keys: changedKeys
+  });
+};
+
+/**
+ * Evaluate a `when` clause against the current values of the keys.
+ *
+ * @param {String|WhenClause} clause
+ * @returns {Boolean}
+ */
+ContextKeyService.prototype.evaluate = function(clause) {
+  if (typeof clause === 'string') {
+    clause = parseWhenClause(clause);
+  }
+  if (!this.results.hasOwnProperty(clause.source)) {
+    this.results[clause.source] = !!clause.evaluate(this.get.bind(this));
+  }
+  return this.results[clause.source];
+};
+
+/**
+ * Invoke a callback when keys change.
+ *
+ * @param {Function} callback Called with an Object with the changed `keys`.
+ * @returns {Disposable}
+ */
+ContextKeyService.prototype.onDidChange = function(callback) {
+  return this.emitter.on('did-change', callback);
+};
+
+exports.ContextKeyService = ContextKeyService;
+exports.parseWhenClause = parseWhenClause;
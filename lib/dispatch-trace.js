@@ -0,0 +1,110 @@
+var now = typeof performance !== 'undefined' && typeof performance.now === 'function' ? function() {
+  return performance.now();
+} : Date.now;
+
+/**
+ * Records how a command was dispatched when tracing is enabled on a
+ * `CommandRegistry`: the nodes the event bubbled through and, on each of
+ * them, the listeners that matched, in invocation order, with their status
+ * and how long they took.
+ *
+ * @param {Event} event The command event.
+ * @param {Object} targetTree The target tree of the registry, describing
+ *   nodes with `describeNode`.
+ */
+function DispatchTrace(event, targetTree) {
+  this.targetTree = targetTree;
+  this.commandName = event.type;
+  this.target = this.describeNode(event.target);
+  this.startedAt = Date.now();
+  this.startTime = now();
+  this.duration = null;
+  this.matched = false;
+  this.cancelled = false;
+  this.targets = [];
+  this.currentTarget = null;
+}
+
+DispatchTrace.prototype.describeNode = function(node) {
+  if (typeof this.targetTree.describeNode === 'function') {
+    return this.targetTree.describeNode(node);
+  }
+  return String(node);
+};
+
+/**
+ * Start recording the listeners of a node.
+ *
+ * @param {Object} node
+ */
+DispatchTrace.prototype.visit = function(node) {
+  this.currentTarget = {
+    node: this.describeNode(node),
+    listeners: []
+  };
+  this.targets.push(this.currentTarget);
+};
+
+/**
+ * Record a listener of the node being visited.
+ *
+ * @param {SelectorBasedListener|InlineListener} listener
+ * @param {String} status `invoked`, `failed`, `disabled`, or `skipped` when
+ *   propagation was stopped before the listener could run.
+ *
+ * @returns {Object} The entry of the listener, whose `status` and `duration`
+ *   can still be updated.
+ */
+DispatchTrace.prototype.addListener = function(listener, status) {
+  var entry = {
+    selector: listener.selector != null ? listener.selector : null,
+    specificity: listener.specificity != null ? listener.specificity : null,
+    inline: listener.selector == null,
+    status: status,
+    duration: null
+  };
+  this.currentTarget.listeners.push(entry);
+  return entry;
+};
+
+/**
+ * Call a listener, recording how long it took in its entry.
+ */
+DispatchTrace.prototype.time = function(entry, fn) {
+  var start = now();
+  try {
+    return fn();
+  } finally {
+    entry.duration = now() - start;
+  }
+};
+
+DispatchTrace.prototype.finish = function(matched, cancelled) {
+  this.matched = matched;
+  this.cancelled = cancelled;
+  this.duration = now() - this.startTime;
+};
+
+/**
+ * @returns {Object} The JSON-serializable trace passed to `onDidTrace`
+ *   callbacks, with the `commandName`, a description of its `target`, when
+ *   the dispatch `startedAt`, its `duration` in milliseconds, whether any
+ *   listener `matched`, whether a middleware `cancelled` the dispatch, and
+ *   the visited `targets`. Each target has a description of its `node` and
+ *   its `listeners`, with their `selector` and `specificity`, whether they
+ *   are `inline` listeners added on the node, their `status` and the
+ *   `duration` of their callback in milliseconds.
+ */
+DispatchTrace.prototype.toJSON = function() {
+  return {
+    commandName: this.commandName,
+    target: this.target,
+    startedAt: this.startedAt,
+    duration: this.duration,
+    matched: this.matched,
+    cancelled: this.cancelled,
+    targets: this.targets
+  };
+};
+
+module.exports = DispatchTrace;
@@ -0,0 +1,121 @@
+var BOUNDARY_BONUS = 8;
+var FIRST_CHARACTER_BONUS = 4;
+var CONSECUTIVE_BONUS = 5;
+var SEPARATORS = ' :-_./';
+
+function isBoundary(string, index) {
+  var previous, current;
+  if (index === 0) {
+    return true;
+  }
+  previous = string[index - 1];
+  current = string[index];
+  return SEPARATORS.indexOf(previous) !== -1 || (previous === previous.toLowerCase() && current !== current.toLowerCase());
+}
+
+/**
+ * Convert sorted character positions into `[start, end)` ranges, merging
+ * adjacent positions.
+ */
+function toRanges(positions) {
+  var ranges = [];
+  positions.forEach(function(position) {
+    var last = ranges[ranges.length - 1];
+    if (last && last[1] === position) {
+      last[1] = position + 1;
+    } else {
+      ranges.push([position, position + 1]);
+    }
+  });
+  return ranges;
+}
+
+/**
+ * Match a query against a string by looking for the query's characters, in
+ * order and ignoring case, anywhere in the string. Characters matched at the
+ * start of words and runs of consecutive characters score higher, so `ic`
+ * ranks `Insert Comment` above `Italic`.
+ *
+ * @param {String} query
+ * @param {String} string
+ *
+ * @returns {Object|null} `null` if the string does not contain the query,
+ *   otherwise an Object with a numeric `score` and the `ranges` of matched
+ *   characters as `[start, end)` pairs.
+ */
+function fuzzyMatch(query, string) {
+  var lowerQuery = query.toLowerCase().replace(/\s+/g, '');
+  var lowerString = string.toLowerCase();
+  var scores = [];
+  var previous = [];
+  var i, j, k, best, bestFrom, candidate, characterScore, positions;
+
+  if (lowerQuery.length === 0) {
+    return {
+      score: 0,
+      ranges: []
+    };
+  }
+
+  // scores[i][j] is the best score for matching the first i + 1 characters
+  // of the query with the last one at position j of the string.
+  for (i = 0; i < lowerQuery.length; i++) {
+    scores.push([]);
+    previous.push([]);
+    for (j = 0; j < lowerString.length; j++) {
+      scores[i][j] = -Infinity;
+      if (lowerString[j] !== lowerQuery[i]) {
+        continue;
+      }
+      characterScore = 1;
+      if (isBoundary(string, j)) {
+        characterScore += BOUNDARY_BONUS;
+      }
+      if (j === 0) {
+        characterScore += FIRST_CHARACTER_BONUS;
+      }
+      if (i === 0) {
+        scores[i][j] = characterScore;
+        continue;
+      }
+      best = -Infinity;
+      bestFrom = -1;
+      for (k = 0; k < j; k++) {
+        candidate = scores[i - 1][k] + (k === j - 1 ? CONSECUTIVE_BONUS : 0);
+        if (candidate > best) {
+          best = candidate;
+          bestFrom = k;
+        }
+      }
+      if (bestFrom !== -1 && best > -Infinity) {
+        scores[i][j] = best + characterScore;
+        previous[i][j] = bestFrom;
+      }
+    }
+  }
+
+  i = lowerQuery.length - 1;
+  best = -Infinity;
+  bestFrom = -1;
+  for (j = 0; j < lowerString.length; j++) {
+    if (scores[i][j] > best) {
+      best = scores[i][j];
+      bestFrom = j;
+    }
+  }
+  if (bestFrom === -1) {
+    return null;
+  }
+
+  positions = [];
+  for (j = bestFrom; i >= 0; i--) {
+    positions.unshift(j);
+    j = previous[i][j];
+  }
+  return {
+    score: best,
+    ranges: toRanges(positions)
+  };
+}
+
+module.exports = fuzzyMatch;
@@ -0,0 +1,487 @@
+var kit = require('event-kit');
+var Emitter = kit.Emitter;
+var Disposable = kit.Disposable;
+
+var calculateSpecificity = require('clear-cut').calculateSpecificity;
+
+var MODIFIERS = ['ctrl', 'alt', 'shift', 'cmd'];
+
+var MODIFIER_ALIASES = {
+  control: 'ctrl',
+  option: 'alt',
+  opt: 'alt',
+  command: 'cmd',
+  meta: 'cmd',
+  super: 'cmd'
+};
+
+var KEY_ALIASES = {
+  ' ': 'space',
+  spacebar: 'space',
+  esc: 'escape',
+  return: 'enter',
+  del: 'delete',
+  ins: 'insert',
+  pgup: 'pageup',
+  pgdown: 'pagedown',
+  plus: '+',
+  arrowup: 'up',
+  arrowdown: 'down',
+  arrowleft: 'left',
+  arrowright: 'right'
+};
+
+var KEY_IDENTIFIERS = {
+  'U+0008': 'backspace',
+  'U+0009': 'tab',
+  'U+001B': 'escape',
+  'U+0020': 'space',
+  'U+007F': 'delete'
+};
+
+var MODIFIER_KEYS = {
+  control: true,
+  shift: true,
+  alt: true,
+  meta: true,
+  os: true,
+  altgraph: true
+};
+
+var DEFAULT_PARTIAL_MATCH_TIMEOUT = 1000;
+
+var BindingCount = 0;
+
+function currentPlatform() {
+  return typeof process !== 'undefined' ? process.platform : '';
+}
+
+/**
+ * Normalize a single keystroke such as `Shift-Ctrl-S` into its canonical
+ * form, `ctrl-shift-s`: modifiers are de-aliased and sorted, named keys are
+ * lowercased and uppercase letters imply `shift`. The `mod` modifier stands
+ * for `cmd` on macOS and `ctrl` everywhere else.
+ *
+ * @param {String} keystroke The keystroke to normalize.
+ * @param {String} platform A `process.platform` value, defaults to the
+ *   current platform.
+ *
+ * @returns {String} The normalized keystroke.
+ */
+function normalizeKeystroke(keystroke, platform) {
+  var parts = /^((?:[^-]+-)*)(.+)$/.exec(keystroke);
+  var modifiers = [];
+  var key, names;
+  if (parts === null) {
+    throw new Error('Invalid keystroke: ' + keystroke);
+  }
+  if (platform == null) {
+    platform = currentPlatform();
+  }
+  names = parts[1] ? parts[1].slice(0, -1).split('-') : [];
+  names.forEach(function(name) {
+    name = name.toLowerCase();
+    name = MODIFIER_ALIASES[name] || name;
+    if (name === 'mod' || name === 'cmdorctrl') {
+      name = platform === 'darwin' ? 'cmd' : 'ctrl';
+    }
+    if (MODIFIERS.indexOf(name) === -1) {
+      throw new Error('Invalid keystroke: ' + keystroke);
+    }
+    modifiers.push(name);
+  });
+  key = parts[2];
+  if (/^[A-Z]$/.test(key)) {
+    modifiers.push('shift');
+  }
+  if (key.length > 1 && key.indexOf('-') !== -1) {
+    throw new Error('Invalid keystroke: ' + keystroke);
+  }
+  key = key.toLowerCase();
+  key = KEY_ALIASES[key] || key;
+  return MODIFIERS.filter(function(modifier) {
+    return modifiers.indexOf(modifier) !== -1;
+  }).concat(key).join('-');
+}
+
+/**
+ * Normalize a space-separated sequence of keystrokes, e.g. `Ctrl-K Ctrl-C`.
+ *
+ * @param {String} keystrokes The keystroke sequence to normalize.
+ * @param {String} platform A `process.platform` value, defaults to the
+ *   current platform.
+ *
+ * @returns {String} The normalized keystroke sequence.
+ */
+function normalizeKeystrokes(keystrokes, platform) {
+  return keystrokes.trim().split(/\s+/).map(function(keystroke) {
+    return normalizeKeystroke(keystroke, platform);
+  }).join(' ');
+}
+
+function keyForKeyboardEvent(event) {
+  var key = event.key;
+  var identifier = event.keyIdentifier;
+  if (key == null && identifier != null) {
+    if (KEY_IDENTIFIERS[identifier]) {
+      key = KEY_IDENTIFIERS[identifier];
+    } else if (/^U\+[0-9A-F]{4}$/.test(identifier)) {
+      key = String.fromCharCode(parseInt(identifier.slice(2), 16));
+      if (!event.shiftKey) {
+        key = key.toLowerCase();
+      }
+    } else {
+      key = identifier;
+    }
+  }
+  return key;
+}
+
+function KeyBinding(source, selector, keystrokes, command) {
+  this.source = source;
+  this.selector = selector;
+  this.keystrokes = keystrokes;
+  this.command = command;
+  this.specificity = calculateSpecificity(selector);
+  this.index = BindingCount++;
+}
+
+/**
+ * Orders bindings like `SelectorBasedListener.compare` orders command
+ * listeners: by descending specificity, then most recently added first.
+ */
+KeyBinding.prototype.compare = function(other) {
+  return other.specificity - this.specificity || other.index - this.index;
+};
+
+/**
+ * Maps keystrokes to commands of a `CommandRegistry`. Keymaps associate CSS
+ * selectors with keystroke to command mappings, and a keystroke dispatches
+ * the command of the most specific binding whose selector matches the
+ * target of the keyboard event or one of its ancestors.
+ *
+ * A listener can call `event.abortKeyBinding()` on the command event to let
+ * the next matching binding for the same keystrokes be tried instead.
+ *
+ * @param {Object} options
+ *   - `commands` The `CommandRegistry` to dispatch commands on.
+ *   - `platform` A `process.platform` value used to normalize keystrokes.
+ *   - `partialMatchTimeout` How many milliseconds to wait for the next
+ *     keystroke of a multi-stroke binding. Defaults to 1000.
+ *
+ * @example
+ * ```js
+ * var keymaps = new KeymapManager({commands: registry});
+ * keymaps.add('app-keymap', {
+ *   '.editor': {
+ *     'mod-s': 'app:save',
+ *     'ctrl-k ctrl-c': 'editor:toggle-comment'
+ *   }
+ * });
+ * keymaps.attach(document.body);
+ * ```
+ */
+function KeymapManager(options) {
+  options = options || {};
+  this.commands = options.commands;
+  this.platform = options.platform != null ? options.platform : currentPlatform();
+  this.partialMatchTimeout = options.partialMatchTimeout != null ? options.partialMatchTimeout : DEFAULT_PARTIAL_MATCH_TIMEOUT;
+  this.handleKeyboardEvent = this.handleKeyboardEvent.bind(this);
+  this.terminatePendingState = this.terminatePendingState.bind(this);
+  this.rootNode = null;
+  this.keyBindings = [];
+  this.queuedKeystrokes = [];
+  this.pendingExactMatches = [];
+  this.pendingTarget = null;
+  this.pendingStateTimeout = null;
+  this.emitter = new Emitter();
+}
+
+/**
+ * Add key bindings.
+ *
+ * @param {String} source A name for the keymap, e.g. the path it was loaded
+ *   from, exposed as the `source` of its bindings.
+ * @param {Object} keymap Maps CSS selectors to Objects mapping keystroke
+ *   sequences to command names.
+ *
+ * @returns {Disposable} on which `.dispose()` can be called to remove the
+ * added key bindings.
+ */
+KeymapManager.prototype.add = function(source, keymap) {
+  var added = [];
+  var selector, keystrokes, bindings;
+  for (selector in keymap) {
+    this.commands.targetTree.validateSelector(selector);
+    bindings = keymap[selector];
+    for (keystrokes in bindings) {
+      added.push(new KeyBinding(source, selector, normalizeKeystrokes(keystrokes, this.platform), bindings[keystrokes]));
+    }
+  }
+  this.keyBindings = this.keyBindings.concat(added);
+  return new Disposable((function(_this) {
+    return function() {
+      _this.keyBindings = _this.keyBindings.filter(function(binding) {
+        return added.indexOf(binding) === -1;
+      });
+    };
+  })(this));
+};
+
+KeymapManager.prototype.getKeyBindings = function() {
+  return this.keyBindings.slice();
+};
+
+/**
+ * Find key bindings matching a query.
+ *
+ * @param {Object} params One or more of the following keys:
+ *   - `command` Only return bindings for this command name.
+ *   - `keystrokes` Only return bindings for this keystroke sequence.
+ *   - `target` Only return bindings that would be triggered by a keyboard
+ *     event on this DOM node, closest and most specific first. Bindings whose
+ *     keystrokes are claimed by a binding with higher precedence are left
+ *     out.
+ *
+ * @returns {Array<KeyBinding>}
+ */
+KeymapManager.prototype.findKeyBindings = function(params) {
+  var command, keystrokes, bindings;
+  params = params || {};
+  command = params.command;
+  keystrokes = params.keystrokes != null ? normalizeKeystrokes(params.keystrokes, this.platform) : null;
+  bindings = params.target != null ? this.findReachableBindings(params.target) : this.keyBindings;
+  return bindings.filter(function(binding) {
+    return (command == null || binding.command === command) && (keystrokes == null || binding.keystrokes === keystrokes);
+  });
+};
+
+KeymapManager.prototype.findReachableBindings = function(target) {
+  var claimedKeystrokes = {};
+  var reachable = [];
+  this.forEachMatchingBinding(target, function(binding) {
+    if (!claimedKeystrokes[binding.keystrokes]) {
+      claimedKeystrokes[binding.keystrokes] = true;
+      reachable.push(binding);
+    }
+  });
+  return reachable;
+};
+
+/**
+ * Invoke a callback with the bindings whose selectors match the target or
+ * one of its ancestors, closest element first and in order of precedence
+ * for each element.
+ *
+ * @param {DOMNode} target
+ * @param {Function} callback Called with each matching `KeyBinding`.
+ */
+KeymapManager.prototype.forEachMatchingBinding = function(target, callback) {
+  var targetTree = this.commands.targetTree;
+  var currentTarget = target;
+  var matchesSelector = function(binding) {
+    return targetTree.matchesSelector(currentTarget, binding.selector);
+  };
+  var compare = function(a, b) {
+    return a.compare(b);
+  };
+  while (currentTarget != null) {
+    this.keyBindings.filter(matchesSelector).sort(compare).forEach(callback);
+    currentTarget = targetTree.getParent(currentTarget);
+  }
+};
+
+KeymapManager.prototype.attach = function(rootNode) {
+  this.rootNode = rootNode;
+  this.rootNode.addEventListener('keydown', this.handleKeyboardEvent, true);
+};
+
+KeymapManager.prototype.destroy = function() {
+  this.cancelPendingState();
+  if (this.rootNode != null) {
+    this.rootNode.removeEventListener('keydown', this.handleKeyboardEvent, true);
+    this.rootNode = null;
+  }
+  this.emitter.dispose();
+};
+
+KeymapManager.prototype.onDidMatchBinding = function(callback) {
+  return this.emitter.on('did-match-binding', callback);
+};
+
+KeymapManager.prototype.onDidPartiallyMatchBindings = function(callback) {
+  return this.emitter.on('did-partially-match-bindings', callback);
+};
+
+KeymapManager.prototype.onDidFailToMatchBinding = function(callback) {
+  return this.emitter.on('did-fail-to-match-binding', callback);
+};
+
+/**
+ * Translate a keyboard event into a normalized keystroke, e.g. `ctrl-shift-s`.
+ *
+ * @param {KeyboardEvent} event
+ *
+ * @returns {String}
+ */
+KeymapManager.prototype.keystrokeForKeyboardEvent = function(event) {
+  var key = keyForKeyboardEvent(event);
+  var modifiers = [];
+  if (key == null || MODIFIER_KEYS[key.toLowerCase()]) {
+    return null;
+  }
+  if (event.ctrlKey) {
+    modifiers.push('ctrl');
+  }
+  if (event.altKey) {
+    modifiers.push('alt');
+  }
+  if (event.shiftKey && (key.length > 1 || /[a-z]/i.test(key))) {
+    modifiers.push('shift');
+  }
+  if (event.metaKey) {
+    modifiers.push('cmd');
+  }
+  return normalizeKeystroke(modifiers.concat(key.length === 1 ? key.toLowerCase() : key).join('-'), this.platform);
+};
+
+/**
+ * Find the bindings for a keystroke sequence on the target of a keyboard
+ * event and its ancestors, closest element first and in order of
+ * precedence for each element.
+ *
+ * @param {String} keystrokes A normalized keystroke sequence.
+ * @param {DOMNode} target
+ *
+ * @returns {Object} With `exact` matches for the sequence and `partial`
+ *   matches for bindings the sequence is a prefix of.
+ */
+KeymapManager.prototype.findMatchCandidates = function(keystrokes, target) {
+  var exact = [];
+  var partial = [];
+  this.forEachMatchingBinding(target, function(binding) {
+    if (binding.keystrokes === keystrokes) {
+      exact.push(binding);
+    } else if (binding.keystrokes.indexOf(keystrokes + ' ') === 0) {
+      partial.push(binding);
+    }
+  });
+  return {
+    exact: exact,
+    partial: partial
+  };
+};
+
+/**
+ * Dispatch the command bound to the keystroke described by a keyboard event.
+ * When the keystrokes so far are a prefix of a multi-stroke binding, waits
+ * for the next keystroke for up to `partialMatchTimeout` milliseconds before
+ * falling back to the bindings matching the keystrokes typed so far.
+ *
+ * @param {KeyboardEvent} event
+ */
+KeymapManager.prototype.handleKeyboardEvent = function(event) {
+  var keystroke = this.keystrokeForKeyboardEvent(event);
+  var previousExactMatches, previousTarget, keystrokes, candidates;
+  if (keystroke == null) {
+    return;
+  }
+  previousExactMatches = this.pendingExactMatches;
+  previousTarget = this.pendingTarget;
+  this.cancelPendingState();
+  this.queuedKeystrokes.push(keystroke);
+  keystrokes = this.queuedKeystrokes.join(' ');
+  candidates = this.findMatchCandidates(keystrokes, event.target);
+
+  if (candidates.partial.length > 0) {
+    event.preventDefault();
+    this.pendingExactMatches = candidates.exact;
+    this.pendingTarget = event.target;
+    this.pendingStateTimeout = setTimeout(this.terminatePendingState, this.partialMatchTimeout);
+    this.emitter.emit('did-partially-match-bindings', {
+      keystrokes: keystrokes,
+      partiallyMatchedBindings: candidates.partial,
+      keyboardEventTarget: event.target
+    });
+    return;
+  }
+
+  this.queuedKeystrokes = [];
+  if (this.dispatchMatches(candidates.exact, keystrokes, event.target)) {
+    event.preventDefault();
+    return;
+  }
+
+  if (keystrokes !== keystroke) {
+    // The sequence went nowhere: honor what the earlier keystrokes matched
+    // and start over with the last one.
+    this.dispatchMatches(previousExactMatches, keystrokes.slice(0, -keystroke.length - 1), previousTarget);
+    this.handleKeyboardEvent(event);
+    return;
+  }
+
+  this.emitter.emit('did-fail-to-match-binding', {
+    keystrokes: keystrokes,
+    keyboardEventTarget: event.target
+  });
+};
+
+/**
+ * Dispatch the command of the first binding whose listeners did not call
+ * `abortKeyBinding`.
+ *
+ * @returns {Boolean} Whether a binding was used.
+ */
+KeymapManager.prototype.dispatchMatches = function(bindings, keystrokes, target) {
+  var i, binding, aborted;
+  var abortKeyBinding = function() {
+    aborted = true;
+  };
+  for (i = 0; i < bindings.length; i++) {
+    binding = bindings[i];
+    aborted = false;
+    this.commands.dispatch(target, binding.command, null, {
+      abortKeyBinding: abortKeyBinding,
+      source: 'keybinding'
+    });
+    if (!aborted) {
+      this.emitter.emit('did-match-binding', {
+        keystrokes: keystrokes,
+        binding: binding,
+        keyboardEventTarget: target
+      });
+      return true;
+    }
+  }
+  return false;
+};
+
+KeymapManager.prototype.cancelPendingState = function() {
+  clearTimeout(this.pendingStateTimeout);
+  this.pendingStateTimeout = null;
+  this.pendingExactMatches = [];
+  this.pendingTarget = null;
+};
+
+/**
+ * Give up waiting for the next keystroke of a multi-stroke binding and use
+ * the bindings matching the keystrokes typed so far.
+ */
+KeymapManager.prototype.terminatePendingState = function() {
+  var matches = this.pendingExactMatches;
+  var target = this.pendingTarget;
+  var keystrokes = this.queuedKeystrokes.join(' ');
+  this.cancelPendingState();
+  this.queuedKeystrokes = [];
+  if (!this.dispatchMatches(matches, keystrokes, target)) {
+    this.emitter.emit('did-fail-to-match-binding', {
+      keystrokes: keystrokes,
+      keyboardEventTarget: target
+    });
+  }
+};
+
+KeymapManager.normalizeKeystroke = normalizeKeystroke;
+KeymapManager.normalizeKeystrokes = normalizeKeystrokes;
+
+module.exports = KeymapManager;
@@ -0,0 +1,125 @@
+var CompositeDisposable = require('event-kit').CompositeDisposable;
+
+/**
+ * The `source` of the events dispatched by macros, so they can be told apart
+ * from the commands a user dispatched.
+ */
+var MACRO_SOURCE = 'macro';
+
+function macroError(index, step, message, cause) {
+  var error = new Error('Macro step ' + (index + 1) + ' (' + step.command + ') ' + message);
+  error.step = index;
+  error.command = step.command;
+  if (cause !== undefined) {
+    error.cause = cause;
+  }
+  return error;
+}
+
+/**
+ * Dispatch the steps of a macro, see `CommandRegistry.prototype.runMacro`.
+ *
+ * @param {CommandRegistry} registry
+ * @param {DOMNode} target The default target of the steps.
+ * @param {Array<Object>} steps
+ * @param {Event} event The event of the macro command, if any, passed to the
+ *   `detail` and `target` functions of the steps.
+ *
+ * @returns {Promise}
+ */
+function runMacro(registry, target, steps, event) {
+  return steps.reduce(function(previous, step, index) {
+    return previous.then(function() {
+      var stepTarget = typeof step.target === 'function' ? step.target(event) : step.target;
+      var detail = typeof step.detail === 'function' ? step.detail(event) : step.detail;
+      return registry.dispatchAsync(stepTarget != null ? stepTarget : target, step.command, detail, {
+        source: MACRO_SOURCE
+      });
+    }).then(function(dispatched) {
+      var failure;
+      if (!dispatched.matched) {
+        throw macroError(index, step, 'did not match any listener');
+      }
+      failure = dispatched.results.filter(function(result) {
+        return result.status === 'rejected';
+      })[0];
+      if (failure != null) {
+        throw macroError(index, step, 'failed: ' + (failure.reason && failure.reason.message), failure.reason);
+      }
+    });
+  }, Promise.resolve());
+}
+
+/**
+ * Records the commands a user dispatches, to replay them later as a macro
+ * with `CommandRegistry.prototype.addMacro` or `runMacro`. Commands
+ * dispatched by the listeners of another command, and the steps of macros,
+ * are left out.
+ *
+ * @param {CommandRegistry} registry
+ *
+ * @example
+ * ```js
+ * var recorder = new MacroRecorder(registry);
+ * recorder.start();
+ * // ...
+ * registry.addMacro('.editor', 'user:replay', recorder.stop());
+ * ```
+ */
+function MacroRecorder(registry) {
+  this.registry = registry;
+  this.steps = [];
+  this.subscriptions = null;
+}
+
+MacroRecorder.prototype.isRecording = function() {
+  return this.subscriptions != null;
+};
+
+/**
+ * Start recording, discarding the steps recorded before.
+ */
+MacroRecorder.prototype.start = function() {
+  var registry = this.registry;
+  var steps = this.steps = [];
+  var pendingEvents = new WeakSet();
+  if (this.isRecording()) {
+    this.subscriptions.dispose();
+  }
+  this.subscriptions = new CompositeDisposable(registry.onWillDispatch(function(event) {
+    if (event.source !== MACRO_SOURCE && registry.dispatchDepth === 0) {
+      pendingEvents.add(event);
+    }
+  }), registry.onDidDispatch(function(event) {
+    if (pendingEvents.has(event)) {
+      pendingEvents.delete(event);
+      steps.push({
+        command: event.type,
+        detail: event.detail,
+        target: event.target
+      });
+    }
+  }));
+};
+
+/**
+ * Stop recording.
+ *
+ * @returns {Array<Object>} The recorded steps, with the `command`, `detail`
+ *   and `target` of each dispatch.
+ */
+MacroRecorder.prototype.stop = function() {
+  if (this.isRecording()) {
+    this.subscriptions.dispose();
+    this.subscriptions = null;
+  }
+  return this.getSteps();
+};
+
+MacroRecorder.prototype.getSteps = function() {
+  return this.steps.slice();
+};
+
+exports.MACRO_SOURCE = MACRO_SOURCE;
+exports.runMacro = runMacro;
+exports.MacroRecorder = MacroRecorder;
@@ -0,0 +1,255 @@
+var Disposable = require('event-kit').Disposable;
+var calculateSpecificity = require('clear-cut').calculateSpecificity;
+var _ = require('underscore-plus');
+
+/**
+ * The `source` of the events dispatched by menu items.
+ */
+var MENU_SOURCE = 'menu';
+
+var ACCELERATOR_KEYS = {
+  ctrl: 'Ctrl',
+  alt: 'Alt',
+  shift: 'Shift',
+  cmd: 'Cmd',
+  '+': 'Plus',
+  pageup: 'PageUp',
+  pagedown: 'PageDown'
+};
+
+var DefinitionCount = 0;
+
+function MenuDefinition(selector, items) {
+  this.selector = selector;
+  this.items = items;
+  this.specificity = calculateSpecificity(selector);
+  this.index = DefinitionCount++;
+}
+
+/**
+ * Orders definitions like `KeyBinding.compare` orders key bindings: by
+ * descending specificity, then most recently added first.
+ */
+MenuDefinition.prototype.compare = function(other) {
+  return other.specificity - this.specificity || other.index - this.index;
+};
+
+/**
+ * Translate a normalized keystroke, e.g. `ctrl-shift-s`, into an Electron
+ * accelerator, e.g. `Ctrl+Shift+S`. Sequences of keystrokes have no
+ * accelerator.
+ *
+ * @param {String} keystrokes
+ * @returns {String|null}
+ */
+function acceleratorForKeystrokes(keystrokes) {
+  var parts;
+  if (keystrokes.indexOf(' ') !== -1) {
+    return null;
+  }
+  parts = /^((?:[^-]+-)*)(.+)$/.exec(keystrokes);
+  return (parts[1] ? parts[1].slice(0, -1).split('-') : []).concat(parts[2]).map(function(key) {
+    return ACCELERATOR_KEYS[key] || (key.length === 1 ? key.toUpperCase() : _.capitalize(key));
+  }).join('+');
+}
+
+function isSeparator(item) {
+  return item.type === 'separator';
+}
+
+/**
+ * Add an item to a menu being built: commands already in the menu are left
+ * out, and submenus with the same label are merged.
+ */
+function mergeItem(items, item) {
+  var existing;
+  if (Array.isArray(item.submenu)) {
+    existing = _.find(items, function(other) {
+      return Array.isArray(other.submenu) && other.label === item.label;
+    });
+    if (existing == null) {
+      existing = _.extend({}, item, {
+        submenu: []
+      });
+      items.push(existing);
+    }
+    item.submenu.forEach(function(child) {
+      mergeItem(existing.submenu, child);
+    });
+  } else if (item.command == null || !items.some(function(other) {
+    return other.command === item.command;
+  })) {
+    items.push(item);
+  }
+}
+
+/**
+ * Drop the separators at the start or the end of a menu, or following
+ * another separator.
+ */
+function removeExtraSeparators(items) {
+  var result = items.filter(function(item, index) {
+    return !isSeparator(item) || (index > 0 && !isSeparator(items[index - 1]));
+  });
+  while (result.length > 0 && isSeparator(result[0])) {
+    result.shift();
+  }
+  while (result.length > 0 && isSeparator(result[result.length - 1])) {
+    result.pop();
+  }
+  return result;
+}
+
+/**
+ * Builds menu templates, e.g. for Electron's `Menu.buildFromTemplate`, from
+ * menus referencing the commands of a `CommandRegistry`. Menus are scoped
+ * with CSS selectors like keymaps, and resolved against a target, such as
+ * the element a context menu was opened on or the focused element for the
+ * application menu.
+ *
+ * Menu items have one of these shapes:
+ *   - `{command, label, detail}` Dispatches `command` with `detail` on the
+ *     target when clicked. The `label` defaults to the `displayName` of the
+ *     command. Items whose command has no enabled listener reachable from
+ *     the target are disabled.
+ *   - `{label, submenu}` With an Array of items in `submenu`. Submenus with
+ *     the same label are merged.
+ *   - `{type: 'separator'}`
+ * Other items, such as Electron `role` items, are passed through as is.
+ *
+ * @param {Object} options
+ *   - `commands` The `CommandRegistry` to resolve and dispatch commands
+ *     with. Items get an `accelerator` when the registry has a key binding
+ *     provider, see `CommandRegistry.prototype.setKeyBindingProvider`.
+ *
+ * @example
+ * ```js
+ * var menus = new MenuManager({commands: registry});
+ * menus.add({
+ *   '.collection': [
+ *     {command: 'collection:refresh'},
+ *     {type: 'separator'},
+ *     {label: 'Export', submenu: [{command: 'collection:export', detail: {format: 'json'}}]}
+ *   ]
+ * });
+ * Menu.buildFromTemplate(menus.buildTemplate(event.target)).popup();
+ * ```
+ */
+function MenuManager(options) {
+  options = options || {};
+  this.commands = options.commands;
+  this.definitions = [];
+}
+
+/**
+ * Add menu items.
+ *
+ * @param {Object} itemsBySelector Maps CSS selectors to Arrays of items.
+ *
+ * @returns {Disposable} on which `.dispose()` can be called to remove the
+ * added items.
+ */
+MenuManager.prototype.add = function(itemsBySelector) {
+  var added = [];
+  var selector;
+  for (selector in itemsBySelector) {
+    this.commands.targetTree.validateSelector(selector);
+    if (!Array.isArray(itemsBySelector[selector])) {
+      throw new Error('Menu items of ' + selector + ' must be an Array');
+    }
+    added.push(new MenuDefinition(selector, itemsBySelector[selector]));
+  }
+  this.definitions = this.definitions.concat(added);
+  return new Disposable((function(_this) {
+    return function() {
+      _this.definitions = _this.definitions.filter(function(definition) {
+        return added.indexOf(definition) === -1;
+      });
+    };
+  })(this));
+};
+
+/**
+ * Build the menu template for a target: the items of the menus whose
+ * selector matches the target or one of its ancestors, closest element
+ * first and most specific selector first for each element, with separators
+ * between the menus of different selectors.
+ *
+ * @param {DOMNode} target
+ *
+ * @returns {Array<Object>} Items with a `label`, and either a `submenu`, or
+ *   the `command` they dispatch, whether they are `enabled`, a `click`
+ *   function and the `accelerator` of the command if it has a single
+ *   keystroke binding. Separators are `{type: 'separator'}`.
+ */
+MenuManager.prototype.buildTemplate = function(target) {
+  var targetTree = this.commands.targetTree;
+  var commandsByName = _.indexBy(this.commands.findCommands({
+    target: target
+  }), 'name');
+  var items = [];
+  var currentTarget = target;
+  var matchesSelector = function(definition) {
+    return targetTree.matchesSelector(currentTarget, definition.selector);
+  };
+  var compare = function(a, b) {
+    return a.compare(b);
+  };
+  while (currentTarget != null) {
+    this.definitions.filter(matchesSelector).sort(compare).forEach(function(definition) {
+      mergeItem(items, {
+        type: 'separator'
+      });
+      definition.items.forEach(function(item) {
+        mergeItem(items, item);
+      });
+    });
+    currentTarget = targetTree.getParent(currentTarget);
+  }
+  return this.resolveItems(items, target, commandsByName);
+};
+
+MenuManager.prototype.resolveItems = function(items, target, commandsByName) {
+  return removeExtraSeparators(items.map((function(_this) {
+    return function(item) {
+      if (Array.isArray(item.submenu)) {
+        return _.extend({}, item, {
+          submenu: _this.resolveItems(item.submenu, target, commandsByName)
+        });
+      }
+      if (item.command != null) {
+        return _this.resolveCommandItem(item, target, commandsByName[item.command]);
+      }
+      return _.extend({}, item);
+    };
+  })(this)));
+};
+
+MenuManager.prototype.resolveCommandItem = function(item, target, command) {
+  var commands = this.commands;
+  var resolved = _.extend({}, item, {
+    label: item.label != null ? item.label : command != null ? command.displayName : _.humanizeEventName(item.command),
+    enabled: command != null && command.enabled !== false,
+    click: function() {
+      commands.dispatch(target, item.command, item.detail, {
+        source: MENU_SOURCE
+      });
+    }
+  });
+  var accelerators;
+  delete resolved.detail;
+  if (command != null && command.keyBindings != null) {
+    accelerators = command.keyBindings.map(acceleratorForKeystrokes).filter(function(accelerator) {
+      return accelerator != null;
+    });
+    if (accelerators.length > 0) {
+      resolved.accelerator = accelerators[0];
+    }
+  }
+  return resolved;
+};
+
+MenuManager.MENU_SOURCE = MENU_SOURCE;
+MenuManager.acceleratorForKeystrokes = acceleratorForKeystrokes;
+
+module.exports = MenuManager;
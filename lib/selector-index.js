@@ -0,0 +1,118 @@
+var selectors = require('./selectors');
+
+var UNIVERSAL_KEY = '*';
+
+var keysBySelector = {};
+
+function keyForCompound(compound) {
+  if (compound.id != null) {
+    return '#' + compound.id;
+  }
+  if (compound.classes.length > 0) {
+    return '.' + compound.classes[0];
+  }
+  if (compound.tag != null && compound.tag !== '*') {
+    return compound.tag;
+  }
+  return UNIVERSAL_KEY;
+}
+
+/**
+ * Get the keys of the buckets a selector is indexed under: one per complex
+ * selector of the list, from the id, else the first class, else the tag of
+ * its rightmost compound. A node can only match the selector if it has one
+ * of these keys. Selectors using features the parser doesn't support, such
+ * as pseudo-classes, go in the universal bucket.
+ *
+ * @param {String} selector
+ * @returns {Array<String>}
+ */
+function indexKeysForSelector(selector) {
+  var keys;
+  if (!keysBySelector.hasOwnProperty(selector)) {
+    try {
+      keys = [];
+      selectors.parseSelector(selector).forEach(function(compounds) {
+        var key = keyForCompound(compounds[compounds.length - 1]);
+        if (keys.indexOf(key) === -1) {
+          keys.push(key);
+        }
+      });
+    } catch (error) {
+      keys = [UNIVERSAL_KEY];
+    }
+    keysBySelector[selector] = keys;
+  }
+  return keysBySelector[selector];
+}
+
+/**
+ * Selector-based listeners bucketed by the rightmost compound of their
+ * selector, so only the listeners that can match a node are checked against
+ * it. The index is immutable: registries build a new one when listeners are
+ * added or removed.
+ *
+ * Target trees provide the keys of a node with `getIndexKeys(node)`, e.g.
+ * `['*', 'div', '#main', '.pane']`. With target trees that don't, every
+ * listener is a candidate for every node.
+ *
+ * @param {Array<SelectorBasedListener>} listeners
+ * @param {Object} targetTree
+ * @param {Function} compare Orders the candidates returned by
+ *   `getCandidates`.
+ */
+function SelectorIndex(listeners, targetTree, compare) {
+  var buckets = {};
+  var ranks = new Map();
+  this.targetTree = targetTree;
+  this.sorted = listeners.slice().sort(compare);
+  this.sorted.forEach(function(listener, rank) {
+    ranks.set(listener, rank);
+    indexKeysForSelector(listener.selector).forEach(function(key) {
+      (buckets[key] || (buckets[key] = [])).push(listener);
+    });
+  });
+  this.buckets = buckets;
+  this.ranks = ranks;
+}
+
+/**
+ * Get the listeners whose selector may match a node. They still need to be
+ * matched against the node.
+ *
+ * @param {Object} node
+ * @returns {Array<SelectorBasedListener>} In the order of `compare`.
+ */
+SelectorIndex.prototype.getCandidates = function(node) {
+  var buckets = this.buckets;
+  var ranks = this.ranks;
+  var found = [];
+  var candidates;
+  if (typeof this.targetTree.getIndexKeys !== 'function') {
+    return this.sorted;
+  }
+  this.targetTree.getIndexKeys(node).forEach(function(key) {
+    if (buckets.hasOwnProperty(key)) {
+      found.push(buckets[key]);
+    }
+  });
+  if (found.length === 0) {
+    return [];
+  }
+  if (found.length === 1) {
+    return found[0];
+  }
+  candidates = new Set();
+  found.forEach(function(bucket) {
+    bucket.forEach(function(listener) {
+      candidates.add(listener);
+    });
+  });
+  return Array.from(candidates).sort(function(a, b) {
+    return ranks.get(a) - ranks.get(b);
+  });
+};
+
+SelectorIndex.indexKeysForSelector = indexKeysForSelector;
+
+module.exports = SelectorIndex;
@@ -0,0 +1,289 @@
+/**
+ * A small CSS selector parser and matcher for target trees that are not DOM
+ * trees. It supports type, universal, id, class and attribute selectors,
+ * `:not()`, the descendant and child combinators, and selector lists.
+ */
+
+var IDENTIFIER = /^-?(?:[_a-zA-Z\u00A0-\uFFFF]|\\.)(?:[-\w\u00A0-\uFFFF]|\\.)*/;
+var ATTRIBUTE = /^\[\s*((?:[-\w\u00A0-\uFFFF]|\\.)+)\s*(?:([~|^$*]?=)\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|((?:[-\w\u00A0-\uFFFF]|\\.)+))\s*)?\]/;
+
+var parseCache = {};
+
+function selectorError(selector) {
+  var error = new SyntaxError(selector + ' is not a valid selector');
+  error.code = 'EBADSELECTOR';
+  return error;
+}
+
+function unescape(string) {
+  return string.replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Split a selector list on its top-level commas, ignoring commas inside
+ * parentheses, attribute selectors and strings.
+ *
+ * @param {String} selector
+ * @returns {Array<String>} The trimmed selectors of the list.
+ */
+function splitSelectorList(selector) {
+  var parts = [];
+  var depth = 0;
+  var quote = null;
+  var start = 0;
+  var i, character;
+  for (i = 0; i < selector.length; i++) {
+    character = selector[i];
+    if (character === '\\') {
+      i++;
+    } else if (quote != null) {
+      if (character === quote) {
+        quote = null;
+      }
+    } else if (character === '"' || character === '\'') {
+      quote = character;
+    } else if (character === '(' || character === '[') {
+      depth++;
+    } else if (character === ')' || character === ']') {
+      depth--;
+    } else if (character === ',' && depth === 0) {
+      parts.push(selector.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(selector.slice(start).trim());
+  return parts;
+}
+
+function emptyCompound() {
+  return {
+    combinator: null,
+    tag: null,
+    id: null,
+    classes: [],
+    attributes: [],
+    not: []
+  };
+}
+
+function isEmptyCompound(compound) {
+  return compound.tag == null && compound.id == null && compound.classes.length === 0 && compound.attributes.length === 0 && compound.not.length === 0;
+}
+
+/**
+ * Parse a complex selector such as `.parent > div.child[open]` into its
+ * compound selectors, left to right. Each compound has the `combinator`
+ * joining it to the previous one (`' '` or `'>'`), its `tag`, `id`,
+ * `classes`, `attributes` and the compounds of its `:not()` clauses.
+ */
+function parseComplexSelector(selector, source) {
+  var compounds = [];
+  var compound = emptyCompound();
+  var combinator = null;
+  var rest = selector.trim();
+  var match, end, depth, attribute;
+
+  var finishCompound = function() {
+    if (isEmptyCompound(compound)) {
+      throw selectorError(source);
+    }
+    compound.combinator = compounds.length > 0 ? combinator || ' ' : null;
+    compounds.push(compound);
+    compound = emptyCompound();
+    combinator = null;
+  };
+
+  if (rest.length === 0) {
+    throw selectorError(source);
+  }
+  while (rest.length > 0) {
+    if (/^\s/.test(rest) || rest[0] === '>') {
+      match = /^\s*(>?)\s*/.exec(rest);
+      if (!isEmptyCompound(compound)) {
+        finishCompound();
+      } else if (compounds.length === 0 || combinator != null) {
+        throw selectorError(source);
+      }
+      combinator = match[1] || ' ';
+      rest = rest.slice(match[0].length);
+      continue;
+    }
+    if (rest[0] === '*') {
+      if (!isEmptyCompound(compound)) {
+        throw selectorError(source);
+      }
+      compound.tag = '*';
+      rest = rest.slice(1);
+    } else if (rest[0] === '#' || rest[0] === '.') {
+      match = IDENTIFIER.exec(rest.slice(1));
+      if (match == null) {
+        throw selectorError(source);
+      }
+      if (rest[0] === '#') {
+        compound.id = unescape(match[0]);
+      } else {
+        compound.classes.push(unescape(match[0]));
+      }
+      rest = rest.slice(match[0].length + 1);
+    } else if (rest[0] === '[') {
+      match = ATTRIBUTE.exec(rest);
+      if (match == null) {
+        throw selectorError(source);
+      }
+      attribute = {
+        name: unescape(match[1]),
+        operator: match[2] || null,
+        value: null
+      };
+      if (attribute.operator != null) {
+        attribute.value = unescape(match[3] != null ? match[3] : match[4] != null ? match[4] : match[5]);
+      }
+      compound.attributes.push(attribute);
+      rest = rest.slice(match[0].length);
+    } else if (rest.slice(0, 5) === ':not(') {
+      depth = 1;
+      for (end = 5; end < rest.length && depth > 0; end++) {
+        if (rest[end] === '(') {
+          depth++;
+        } else if (rest[end] === ')') {
+          depth--;
+        }
+      }
+      if (depth > 0) {
+        throw selectorError(source);
+      }
+      splitSelectorList(rest.slice(5, end - 1)).forEach(function(part) {
+        var parsed = parseComplexSelector(part, source);
+        if (parsed.length !== 1) {
+          throw selectorError(source);
+        }
+        compound.not.push(parsed[0]);
+      });
+      rest = rest.slice(end);
+    } else {
+      match = IDENTIFIER.exec(rest);
+      if (match == null || !isEmptyCompound(compound)) {
+        throw selectorError(source);
+      }
+      compound.tag = unescape(match[0]).toLowerCase();
+      rest = rest.slice(match[0].length);
+    }
+  }
+  if (combinator != null && isEmptyCompound(compound)) {
+    throw selectorError(source);
+  }
+  finishCompound();
+  return compounds;
+}
+
+/**
+ * Parse a selector list.
+ *
+ * @param {String} selector
+ * @returns {Array<Array<Object>>} The compounds of each complex selector of
+ *   the list.
+ * @throws {SyntaxError} With an `EBADSELECTOR` code when the selector is
+ *   invalid or uses unsupported features.
+ */
+function parseSelector(selector) {
+  if (!parseCache.hasOwnProperty(selector)) {
+    parseCache[selector] = splitSelectorList(selector).map(function(part) {
+      return parseComplexSelector(part, selector);
+    });
+  }
+  return parseCache[selector];
+}
+
+function matchesAttribute(attribute, value) {
+  if (value == null) {
+    return false;
+  }
+  value = String(value);
+  switch (attribute.operator) {
+    case null:
+      return true;
+    case '=':
+      return value === attribute.value;
+    case '~=':
+      return value.split(/\s+/).indexOf(attribute.value) !== -1;
+    case '|=':
+      return value === attribute.value || value.indexOf(attribute.value + '-') === 0;
+    case '^=':
+      return attribute.value !== '' && value.indexOf(attribute.value) === 0;
+    case '$=':
+      return attribute.value !== '' && value.slice(-attribute.value.length) === attribute.value;
+    case '*=':
+      return attribute.value !== '' && value.indexOf(attribute.value) !== -1;
+    default:
+      return false;
+  }
+}
+
+function matchesCompound(compound, node, tree) {
+  var classes, tagName;
+  if (compound.tag != null && compound.tag !== '*') {
+    tagName = tree.getTagName(node);
+    if (tagName == null || String(tagName).toLowerCase() !== compound.tag) {
+      return false;
+    }
+  }
+  if (compound.id != null && tree.getId(node) !== compound.id) {
+    return false;
+  }
+  if (compound.classes.length > 0) {
+    classes = tree.getClasses(node);
+    if (!compound.classes.every(function(className) {
+      return classes.indexOf(className) !== -1;
+    })) {
+      return false;
+    }
+  }
+  if (!compound.attributes.every(function(attribute) {
+    return matchesAttribute(attribute, tree.getAttribute(node, attribute.name));
+  })) {
+    return false;
+  }
+  return !compound.not.some(function(negated) {
+    return matchesCompound(negated, node, tree);
+  });
+}
+
+function matchesComplex(compounds, index, node, tree) {
+  var ancestor;
+  if (!matchesCompound(compounds[index], node, tree)) {
+    return false;
+  }
+  if (index === 0) {
+    return true;
+  }
+  ancestor = tree.getParent(node);
+  if (compounds[index].combinator === '>') {
+    return ancestor != null && matchesComplex(compounds, index - 1, ancestor, tree);
+  }
+  while (ancestor != null) {
+    if (matchesComplex(compounds, index - 1, ancestor, tree)) {
+      return true;
+    }
+    ancestor = tree.getParent(ancestor);
+  }
+  return false;
+}
+
+/**
+ * Whether a node matches a selector.
+ *
+ * @param {String} selector
+ * @param {Object} node
+ * @param {Object} tree Reads the node: implements `getParent`, `getTagName`,
+ *   `getId`, `getClasses` and `getAttribute`.
+ * @returns {Boolean}
+ */
+function matches(selector, node, tree) {
+  return parseSelector(selector).some(function(compounds) {
+    return matchesComplex(compounds, compounds.length - 1, node, tree);
+  });
+}
+
+exports.splitSelectorList = splitSelectorList;
+exports.parseSelector = parseSelector;
+exports.matches = matches;
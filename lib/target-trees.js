@@ -0,0 +1,210 @@
+/**
+ * Target trees tell a `CommandRegistry` how to walk from the target of a
+ * command up to the root, how to match selectors against the nodes on the
+ * way and how to create command events. A target tree implements:
+ *
+ *   - `getParent(node)` The next node up, or `null` past the root.
+ *   - `matchesSelector(node, selector)` Whether the node matches a selector.
+ *   - `validateSelector(selector)` Throws a `SyntaxError` if the selector is
+ *     invalid.
+ *   - `createEvent(type, init)` Creates an event with the `bubbles` and
+ *     `detail` of `init`.
+ *   - `describeNode(node)` Optionally, a short description of the node like
+ *     `div#main.pane`, used by dispatch traces.
+ *   - `getIndexKeys(node)` Optionally, the keys of the selector index buckets
+ *     holding the listeners that may match the node: `'*'`, its lowercase
+ *     tag, `'#'` followed by its id and `'.'` followed by each class. Without
+ *     it, every listener is matched against every node.
+ *   - `isInShadowTree(node)` Optionally, whether the node is encapsulated in
+ *     a shadow tree, where selector-based listeners only match it when the
+ *     registry's `matchShadowTrees` option is set.
+ */
+var clearCut = require('clear-cut');
+
+var selectors = require('./selectors');
+
+/**
+ * The DOM of a renderer process: bubbles up through `parentNode` along the
+ * composed path, from shadow roots to their host, and ends at `window`, and
+ * creates `CustomEvent`s.
+ */
+var domTargetTree = {
+  getParent: function(node) {
+    if (node === window) {
+      return null;
+    }
+    if (node.parentNode != null) {
+      return node.parentNode;
+    }
+    return node.host != null ? node.host : window;
+  },
+  isInShadowTree: function(node) {
+    var root;
+    if (typeof node.getRootNode === 'function') {
+      root = node.getRootNode();
+      return root !== node && root.host != null;
+    }
+    // Older Chromium has no getRootNode, walk up to the shadow root instead.
+    while (node.parentNode != null) {
+      node = node.parentNode;
+      if (node.nodeType === 11 && node.host != null) {
+        return true;
+      }
+    }
+    return false;
+  },
+  matchesSelector: function(node, selector) {
+    return typeof node.webkitMatchesSelector === 'function' && node.webkitMatchesSelector(selector);
+  },
+  validateSelector: function(selector) {
+    clearCut.validateSelector(selector);
+  },
+  createEvent: function(type, init) {
+    return new CustomEvent(type, init);
+  },
+  describeNode: function(node) {
+    if (node === window) {
+      return 'window';
+    }
+    if (node.host != null && node.nodeType === 11) {
+      return '#shadow-root';
+    }
+    if (node.nodeType !== 1) {
+      return node.nodeName;
+    }
+    return describeCompound(node.tagName, node.id, Array.from(node.classList));
+  },
+  getIndexKeys: function(node) {
+    if (node.nodeType !== 1) {
+      return ['*'];
+    }
+    return indexKeys(node.tagName, node.id, Array.from(node.classList));
+  }
+};
+
+/**
+ * An event for target trees outside of the DOM, with the parts of the DOM
+ * `Event` interface listeners rely on.
+ */
+function CommandEvent(type, init) {
+  init = init || {};
+  Object.defineProperty(this, 'type', {
+    value: type,
+    configurable: true
+  });
+  Object.defineProperty(this, 'detail', {
+    value: init.detail != null ? init.detail : null,
+    configurable: true
+  });
+  Object.defineProperty(this, 'bubbles', {
+    value: !!init.bubbles,
+    configurable: true
+  });
+  Object.defineProperty(this, 'defaultPrevented', {
+    value: false,
+    writable: true
+  });
+}
+
+CommandEvent.prototype.preventDefault = function() {
+  this.defaultPrevented = true;
+};
+
+CommandEvent.prototype.stopPropagation = function() {};
+
+CommandEvent.prototype.stopImmediatePropagation = function() {};
+
+function describeCompound(tagName, id, classes) {
+  return (tagName != null ? String(tagName).toLowerCase() : '') + (id ? '#' + id : '') + classes.filter(Boolean).map(function(className) {
+    return '.' + className;
+  }).join('');
+}
+
+function indexKeys(tagName, id, classes) {
+  var keys = ['*'];
+  if (tagName != null) {
+    keys.push(String(tagName).toLowerCase());
+  }
+  if (id) {
+    keys.push('#' + id);
+  }
+  classes.forEach(function(className) {
+    keys.push('.' + className);
+  });
+  return keys;
+}
+
+function getClasses(node) {
+  var classes = node.classList != null ? node.classList : node.className;
+  if (classes == null) {
+    return [];
+  }
+  if (typeof classes === 'string') {
+    return classes.split(/\s+/);
+  }
+  return Array.isArray(classes) ? classes : Array.from(classes);
+}
+
+/**
+ * Trees of plain objects, for commands dispatched outside a renderer such as
+ * in the Electron main process or in Node scripts. A node's parent is its
+ * `parent` property. Selectors match a node's `tagName` or `type`, its `id`,
+ * its `classList` (an Array or Set) or `className` (a space-separated
+ * String), and attribute selectors match the node's `attributes` Object, or
+ * else the node's own properties.
+ *
+ * @example
+ * ```js
+ * var workspace = {type: 'workspace'};
+ * var editor = {type: 'editor', classList: ['mongodb'], parent: workspace};
+ * registry.add('workspace editor.mongodb', 'editor:run', run);
+ * registry.dispatch(editor, 'editor:run');
+ * ```
+ */
+var objectTargetTree = {
+  getParent: function(node) {
+    return node.parent != null ? node.parent : null;
+  },
+  getTagName: function(node) {
+    return node.tagName != null ? node.tagName : node.type;
+  },
+  getId: function(node) {
+    return node.id;
+  },
+  getClasses: getClasses,
+  getAttribute: function(node, name) {
+    if (node.attributes != null && typeof node.attributes === 'object' && node.attributes.hasOwnProperty(name)) {
+      return node.attributes[name];
+    }
+    return node[name];
+  },
+  matchesSelector: function(node, selector) {
+    return node != null && typeof node === 'object' && selectors.matches(selector, node, objectTargetTree);
+  },
+  validateSelector: function(selector) {
+    selectors.parseSelector(selector);
+  },
+  createEvent: function(type, init) {
+    return new CommandEvent(type, init);
+  },
+  describeNode: function(node) {
+    return describeCompound(objectTargetTree.getTagName(node), objectTargetTree.getId(node), getClasses(node)) || 'object';
+  },
+  getIndexKeys: function(node) {
+    if (node == null || typeof node !== 'object') {
+      return ['*'];
+    }
+    return indexKeys(objectTargetTree.getTagName(node), objectTargetTree.getId(node), getClasses(node));
+  }
+};
+
+exports.CommandEvent = CommandEvent;
+exports.domTargetTree = domTargetTree;
+exports.objectTargetTree = objectTargetTree;
+
+/**
+ * The target tree to use when none is given: the DOM when there is one.
+ */
+exports.defaultTargetTree = function() {
+  return typeof window !== 'undefined' && typeof document !== 'undefined' ? domTargetTree : objectTargetTree;
+};
@@ -0,0 +1,278 @@
+var _ = require('underscore-plus');
+
+/**
+ * The source of the commands dispatched without one.
+ */
+var DEFAULT_SOURCE = 'programmatic';
+
+var STATS_VERSION = 1;
+
+// The statistics are indexed by command names, sources and detail values, so
+// their maps have no prototype for keys like `constructor` to collide with.
+function createMap() {
+  return Object.create(null);
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function isRecordableValue(value) {
+  return typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+}
+
+function addCounts(counts, other) {
+  var key;
+  for (key in other) {
+    if (hasOwn(other, key)) {
+      counts[key] = (counts[key] || 0) + other[key];
+    }
+  }
+  return counts;
+}
+
+function createCommandStats() {
+  return {
+    count: 0,
+    lastUsedAt: 0,
+    sources: createMap(),
+    details: createMap()
+  };
+}
+
+/**
+ * Keeps usage statistics of the commands dispatched on a registry: how many
+ * times each command was dispatched, when it was last used and how it was
+ * triggered, from the `source` of its event. Palettes are expected to pass
+ * `{source: 'palette'}` to `dispatch`; key bindings, menus, macros and
+ * command lines set theirs, and other dispatches count as `programmatic`.
+ *
+ * The `detail` of commands is not recorded, except for the keys of the
+ * allow-list, whose String, Number and Boolean values are counted.
+ *
+ * Every registry keeps a tracker without storage as its `usageTracker`, and
+ * ranks `searchCommands` results with its statistics. Pass your own tracker
+ * to `registry.setUsageTracker` to configure it.
+ *
+ * @param {CommandRegistry} registry
+ * @param {Object} options
+ *   - `storage` An adapter persisting the statistics, with `load()`
+ *     returning them, or a Promise for them, and `save(stats)`, optionally
+ *     returning a Promise. See `UsageTracker.localStorageAdapter`.
+ *   - `detailAllowList` Maps command names, or `*` for every command, to
+ *     the Array of the `detail` keys whose values are recorded.
+ *
+ * @example
+ * ```js
+ * var tracker = new UsageTracker(registry, {
+ *   storage: UsageTracker.localStorageAdapter(window.localStorage, 'command-usage'),
+ *   detailAllowList: {'app:open-collection': ['view']}
+ * });
+ * registry.setUsageTracker(tracker);
+ * tracker.restore().then(function() {
+ *   window.addEventListener('beforeunload', tracker.save.bind(tracker));
+ * });
+ * ```
+ */
+function UsageTracker(registry, options) {
+  options = options || {};
+  this.registry = registry;
+  this.storage = options.storage || null;
+  this.detailAllowList = options.detailAllowList || {};
+  this.commands = createMap();
+  this.subscription = null;
+  this.disposed = false;
+  this.subscribe();
+}
+
+/**
+ * Record the dispatches of the current emitter of the registry. The registry
+ * calls it when `clear` replaces its emitter.
+ */
+UsageTracker.prototype.subscribe = function() {
+  if (this.subscription != null) {
+    this.subscription.dispose();
+  }
+  if (!this.disposed) {
+    this.subscription = this.registry.onDidDispatch(this.record.bind(this));
+  }
+};
+
+/**
+ * Record the dispatch of a command, unless no listener matched it.
+ *
+ * @param {Event} event
+ */
+UsageTracker.prototype.record = function(event) {
+  var stats, source, detail;
+  if (event.matched === false) {
+    return;
+  }
+  stats = this.commands[event.type] || (this.commands[event.type] = createCommandStats());
+  source = event.source != null ? String(event.source) : DEFAULT_SOURCE;
+  detail = event.detail;
+  stats.count++;
+  stats.lastUsedAt = Date.now();
+  stats.sources[source] = (stats.sources[source] || 0) + 1;
+  if (detail == null || typeof detail !== 'object') {
+    return;
+  }
+  this.getAllowedDetailKeys(event.type).forEach(function(key) {
+    var values;
+    if (hasOwn(detail, key) && isRecordableValue(detail[key])) {
+      values = stats.details[key] || (stats.details[key] = createMap());
+      values[detail[key]] = (values[detail[key]] || 0) + 1;
+    }
+  });
+};
+
+UsageTracker.prototype.getAllowedDetailKeys = function(commandName) {
+  var allowList = this.detailAllowList;
+  return _.uniq((hasOwn(allowList, '*') ? allowList['*'] : []).concat(hasOwn(allowList, commandName) ? allowList[commandName] : []));
+};
+
+/**
+ * Get the statistics of a command.
+ *
+ * @param {String} commandName
+ * @returns {Object|null} With the `count` of its dispatches, when it was
+ *   `lastUsedAt` in milliseconds since the epoch, the counts of its
+ *   `sources`, and the counts of the values of its allowed `details` keys.
+ */
+UsageTracker.prototype.getCommandStats = function(commandName) {
+  var stats = hasOwn(this.commands, commandName) ? this.commands[commandName] : null;
+  return stats != null ? _.extend({
+    name: commandName
+  }, JSON.parse(JSON.stringify(stats))) : null;
+};
+
+/**
+ * Get the statistics of every command.
+ *
+ * @returns {Object} With the `totalCount` of the dispatches, their counts
+ *   by `sources`, and the statistics of the `commands`, as returned by
+ *   `getCommandStats`, most used first.
+ */
+UsageTracker.prototype.getStats = function() {
+  var commands = Object.keys(this.commands).map(this.getCommandStats.bind(this)).sort(function(a, b) {
+    return b.count - a.count || b.lastUsedAt - a.lastUsedAt || (a.name < b.name ? -1 : 1);
+  });
+  return {
+    totalCount: commands.reduce(function(total, command) {
+      return total + command.count;
+    }, 0),
+    sources: commands.reduce(function(sources, command) {
+      return addCounts(sources, command.sources);
+    }, createMap()),
+    commands: commands
+  };
+};
+
+/**
+ * Forget every recorded dispatch.
+ */
+UsageTracker.prototype.reset = function() {
+  this.commands = createMap();
+};
+
+/**
+ * @returns {Object} The JSON-serializable statistics passed to the storage
+ *   adapter.
+ */
+UsageTracker.prototype.toJSON = function() {
+  return {
+    version: STATS_VERSION,
+    commands: JSON.parse(JSON.stringify(this.commands))
+  };
+};
+
+/**
+ * Add statistics, e.g. saved by a previous session, to the recorded ones.
+ *
+ * @param {Object} saved Statistics returned by `toJSON`.
+ */
+UsageTracker.prototype.merge = function(saved) {
+  var name, stats, other, key;
+  if (saved == null || saved.version !== STATS_VERSION || saved.commands == null) {
+    return;
+  }
+  for (name in saved.commands) {
+    if (!hasOwn(saved.commands, name)) {
+      continue;
+    }
+    other = saved.commands[name];
+    stats = this.commands[name] || (this.commands[name] = createCommandStats());
+    stats.count += other.count || 0;
+    stats.lastUsedAt = Math.max(stats.lastUsedAt, other.lastUsedAt || 0);
+    addCounts(stats.sources, other.sources || {});
+    for (key in other.details) {
+      if (hasOwn(other.details, key) && this.getAllowedDetailKeys(name).indexOf(key) !== -1) {
+        stats.details[key] = addCounts(stats.details[key] || createMap(), other.details[key]);
+      }
+    }
+  }
+};
+
+/**
+ * Load the statistics saved in the storage adapter and add them to the
+ * recorded ones. Call it once per session.
+ *
+ * @returns {Promise}
+ */
+UsageTracker.prototype.restore = function() {
+  var storage = this.storage;
+  if (storage == null) {
+    return Promise.resolve();
+  }
+  return Promise.resolve().then(function() {
+    return storage.load();
+  }).then(this.merge.bind(this));
+};
+
+/**
+ * Save the statistics with the storage adapter.
+ *
+ * @returns {Promise}
+ */
+UsageTracker.prototype.save = function() {
+  var storage = this.storage;
+  var stats = this.toJSON();
+  if (storage == null) {
+    return Promise.resolve();
+  }
+  return Promise.resolve().then(function() {
+    return storage.save(stats);
+  });
+};
+
+/**
+ * Stop recording dispatches.
+ */
+UsageTracker.prototype.dispose = function() {
+  this.disposed = true;
+  this.subscription.dispose();
+};
+
+/**
+ * Create a storage adapter saving the statistics as JSON in a
+ * `localStorage`-like object.
+ *
+ * @param {Object} storage Implements `getItem(key)` and `setItem(key, value)`.
+ * @param {String} key
+ * @returns {Object}
+ */
+UsageTracker.localStorageAdapter = function(storage, key) {
+  return {
+    load: function() {
+      var json = storage.getItem(key);
+      return json != null ? JSON.parse(json) : null;
+    },
+    save: function(stats) {
+      storage.setItem(key, JSON.stringify(stats));
+    }
+  };
+};
+
+UsageTracker.DEFAULT_SOURCE = DEFAULT_SOURCE;
+
+module.exports = UsageTracker;
@@ -0,0 +1,64 @@
+var validate = require('../lib/argument-schema').validate;
+
+var expect = require('chai').expect;
+
+describe('validate(schema, detail)', function() {
+  it('accepts values matching the schema', function() {
+    var result = validate({
+      type: 'object',
+      properties: {
+        name: {type: 'string', pattern: '^[a-z]+$'},
+        tags: {type: 'array', items: {type: 'string'}, maxItems: 2},
+        mode: {enum: ['read', 'write']},
+        size: {type: ['integer', 'null']}
+      }
+    }, {name: 'abc', tags: ['a'], mode: 'read', size: null});
+    expect(result.errors).to.deep.equal([]);
+    expect(result.value).to.deep.equal({name: 'abc', tags: ['a'], mode: 'read', size: null});
+  });
+
+  it('reports the path and keyword of each error', function() {
+    var result = validate({
+      type: 'object',
+      properties: {
+        name: {type: 'string', maxLength: 2},
+        tags: {type: 'array', items: {type: 'string'}},
+        count: {type: 'integer', exclusiveMaximum: 10}
+      },
+      additionalProperties: false
+    }, {name: 'abc', tags: ['a', 1], count: 10, extra: true});
+    expect(result.errors).to.deep.equal([
+      {path: 'detail.name', message: 'must have at most 2 characters', keyword: 'maxLength'},
+      {path: 'detail.tags[1]', message: 'must be string', keyword: 'type'},
+      {path: 'detail.count', message: 'must be < 10', keyword: 'exclusiveMaximum'},
+      {path: 'detail', message: 'must not have property extra', keyword: 'additionalProperties'}
+    ]);
+  });
+
+  it('fills in defaults without modifying the detail', function() {
+    var detail = {options: {}};
+    var result = validate({
+      type: 'object',
+      properties: {
+        options: {
+          type: 'object',
+          properties: {
+            columns: {type: 'array', default: ['a']}
+          }
+        },
+        limit: {type: 'integer', default: 10}
+      }
+    }, detail);
+    expect(result.errors).to.deep.equal([]);
+    expect(result.value).to.deep.equal({options: {columns: ['a']}, limit: 10});
+    expect(detail).to.deep.equal({options: {}});
+  });
+
+  it('uses the schema default for a missing detail', function() {
+    expect(validate({type: 'string', default: 'x'}, null).value).to.equal('x');
+    expect(validate({type: 'object', properties: {a: {default: 1}}}, undefined).value).to.deep.equal({a: 1});
+    expect(validate({type: 'string'}, null).errors).to.deep.equal([
+      {path: 'detail', message: 'must be string', keyword: 'type'}
+    ]);
+  });
+});
@@ -0,0 +1,94 @@
+var CommandRegistry = require('../');
+var CommandBridge = require('../lib/command-bridge');
+var _ = require('underscore-plus');
+
+var expect = require('chai').expect;
+
+describe('CommandBridge', function() {
+  var mainRegistry, windowRegistry, mainBridge, windowBridge, app, windowRoot;
+
+  function settle() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 10);
+    });
+  }
+
+  beforeEach(function() {
+    var channels = CommandBridge.createChannelPair();
+    app = {type: 'app'};
+    windowRoot = {type: 'window'};
+    mainRegistry = new CommandRegistry({targetTree: CommandRegistry.objectTargetTree});
+    windowRegistry = new CommandRegistry({targetTree: CommandRegistry.objectTargetTree});
+    mainRegistry.add('app', 'app:quit', {
+      displayName: 'Quit Compass',
+      didDispatch: function() {}
+    });
+    windowRegistry.add('window', 'window:reload', function(event) {
+      windowRoot.reloaded = event.detail;
+    });
+    mainBridge = new CommandBridge(mainRegistry, channels[0], {target: app});
+    windowBridge = new CommandBridge(windowRegistry, channels[1], {target: windowRoot});
+    return settle();
+  });
+
+  afterEach(function() {
+    mainBridge.dispose();
+    windowBridge.dispose();
+  });
+
+  it('mirrors the commands registered on each side to the other', function() {
+    expect(_.sortBy(mainRegistry.findCommands({target: app}), 'name')).to.deep.equal([
+      {name: 'app:quit', displayName: 'Quit Compass'},
+      {name: 'window:reload', displayName: 'Window: Reload'}
+    ]);
+    expect(_.sortBy(windowRegistry.findCommands({target: windowRoot}), 'name')).to.deep.equal([
+      {name: 'app:quit', displayName: 'Quit Compass'},
+      {name: 'window:reload', displayName: 'Window: Reload'}
+    ]);
+  });
+  it('forwards dispatches of mirrored commands to the peer', function() {
+    expect(mainRegistry.dispatch(app, 'window:reload', {hard: true})).to.equal(true);
+    return settle().then(function() {
+      expect(windowRoot.reloaded).to.deep.equal({hard: true});
+    });
+  });
+  it('resolves with whether the peer matched the command', function() {
+    return Promise.all([
+      mainBridge.dispatch('window:reload'),
+      mainBridge.dispatch('window:bogus')
+    ]).then(function(matched) {
+      expect(matched).to.deep.equal([true, false]);
+    });
+  });
+  it('updates the mirrored commands when the peer registers or removes commands', function() {
+    var posted = 0;
+    var postMessage = windowBridge.channel.postMessage;
+    windowBridge.channel.postMessage = function(message) {
+      posted++;
+      postMessage.call(this, message);
+    };
+    var disposable = windowRegistry.add('window', {
+      'window:close': function() {},
+      'window:minimize': function() {}
+    });
+    windowRegistry.add('window', 'window:maximize', function() {});
+    return settle().then(function() {
+      expect(posted).to.equal(1);
+      expect(_.pluck(mainRegistry.findCommands({target: app}), 'name').sort()).to.deep.equal(['app:quit', 'window:close', 'window:maximize', 'window:minimize', 'window:reload']);
+      disposable.dispose();
+      return settle();
+    }).then(function() {
+      expect(posted).to.equal(2);
+      expect(_.pluck(mainRegistry.findCommands({target: app}), 'name').sort()).to.deep.equal(['app:quit', 'window:maximize', 'window:reload']);
+    });
+  });
+  return it('removes the mirrored commands when disposed', function() {
+    mainBridge.dispose();
+    expect(mainRegistry.findCommands({target: app}).length).to.equal(1);
+    return mainBridge.dispatch('window:reload').then(function() {
+      throw new Error('Expected the dispatch to be rejected');
+    }, function(error) {
+      expect(error.message).to.equal('The command bridge was disposed.');
+    });
+  });
+});
@@ -0,0 +1,136 @@
+var CommandHistory = require('../lib/command-history');
+
+var expect = require('chai').expect;
+
+describe('CommandHistory', function() {
+  var history, calls;
+
+  function step(name) {
+    return {
+      commandName: name,
+      undo: function() {
+        calls.push('undo ' + name);
+      },
+      redo: function() {
+        calls.push('redo ' + name);
+      }
+    };
+  }
+
+  beforeEach(function() {
+    history = new CommandHistory();
+    calls = [];
+  });
+
+  it('undoes and redoes entries in stack order', function() {
+    history.push([step('a')]);
+    history.push([step('b'), step('c')]);
+    expect(history.undo()).to.equal(true);
+    expect(history.undo()).to.equal(true);
+    expect(history.undo()).to.equal(false);
+    expect(history.redo()).to.equal(true);
+    expect(calls).to.deep.equal(['undo c', 'undo b', 'undo a', 'redo a']);
+    expect(history.canUndo()).to.equal(true);
+    expect(history.canRedo()).to.equal(true);
+  });
+  it('clears the redo stack when a new entry is pushed', function() {
+    history.push([step('a')]);
+    history.undo();
+    history.push([step('b')]);
+    expect(history.canRedo()).to.equal(false);
+  });
+  it('ignores entries pushed while undoing', function() {
+    history.push([{
+      commandName: 'a',
+      undo: function() {
+        history.push([step('nested')]);
+      }
+    }]);
+    history.undo();
+    expect(history.canUndo()).to.equal(false);
+  });
+  it('keeps the entry on its stack when one of its steps throws', function() {
+    var failing = step('b');
+    failing.redo = function() {
+      throw new Error('redo failed');
+    };
+    history.push([step('a'), failing]);
+    failing.undo = function() {
+      throw new Error('undo failed');
+    };
+    expect(function() {
+      history.undo();
+    }).to.throw('undo failed');
+    expect(history.canUndo()).to.equal(true);
+    expect(history.canRedo()).to.equal(false);
+    failing.undo = step('b').undo;
+    history.undo();
+    expect(function() {
+      history.redo();
+    }).to.throw('redo failed');
+    expect(history.canUndo()).to.equal(false);
+    expect(history.canRedo()).to.equal(true);
+  });
+  it('reverts the steps that ran before a step threw', function() {
+    var failing = step('b');
+    var undo = failing.undo;
+    var redo = failing.redo;
+    history.push([step('a'), failing, step('c')]);
+    failing.undo = function() {
+      throw new Error('undo failed');
+    };
+    expect(function() {
+      history.undo();
+    }).to.throw('undo failed');
+    expect(calls).to.deep.equal(['undo c', 'redo c']);
+    failing.undo = undo;
+    history.undo();
+    expect(calls.slice(2)).to.deep.equal(['undo c', 'undo b', 'undo a']);
+    failing.redo = function() {
+      throw new Error('redo failed');
+    };
+    expect(function() {
+      history.redo();
+    }).to.throw('redo failed');
+    expect(calls.slice(5)).to.deep.equal(['redo a', 'undo a']);
+    failing.redo = redo;
+    history.redo();
+    expect(calls.slice(7)).to.deep.equal(['redo a', 'redo b', 'redo c']);
+  });
+  it('groups the entries of nested transactions into one', function() {
+    history.transact(function() {
+      history.push([step('a')]);
+      history.transact(function() {
+        history.push([step('b')]);
+      });
+      expect(history.canUndo()).to.equal(false);
+    });
+    history.undo();
+    expect(calls).to.deep.equal(['undo b', 'undo a']);
+    expect(history.canUndo()).to.equal(false);
+  });
+  it('keeps a transaction open until the Promise returned by its function settles', function() {
+    var promise = history.transact(function() {
+      return Promise.resolve().then(function() {
+        history.push([step('a')]);
+        history.push([step('b')]);
+      });
+    });
+    return promise.then(function() {
+      history.undo();
+      expect(calls).to.deep.equal(['undo b', 'undo a']);
+    });
+  });
+  return it('emits change events with the name of the next command to undo or redo', function() {
+    var events = [];
+    history.onDidChange(function(event) {
+      events.push(event);
+    });
+    history.push([step('a')]);
+    history.undo();
+    expect(events).to.deep.equal([
+      {canUndo: true, canRedo: false, undoCommandName: 'a', redoCommandName: null},
+      {canUndo: false, canRedo: true, undoCommandName: null, redoCommandName: 'a'}
+    ]);
+  });
+});
@@ -0,0 +1,153 @@
+var CommandRegistry = require('../');
+var commandLine = require('../lib/command-line');
+
+var expect = require('chai').expect;
+
+describe('Command lines', function() {
+  var registry, workspace, collection, dispatched;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    workspace = {type: 'workspace'};
+    collection = {type: 'collection', parent: workspace};
+    dispatched = [];
+    registry.add('workspace', {
+      'app:open-collection': {
+        args: {
+          type: 'object',
+          properties: {
+            db: {type: 'string'},
+            coll: {type: 'string'},
+            limit: {type: 'integer', minimum: 1},
+            readonly: {type: 'boolean'},
+            tags: {type: 'array', items: {type: 'string'}},
+            view: {enum: ['list', 'table', 'json']},
+            filter: {type: 'object', properties: {age: {type: 'number'}}}
+          },
+          required: ['db', 'coll']
+        },
+        didDispatch: function(event) {
+          dispatched.push([event.type, event.detail, event.source]);
+        }
+      },
+      'app:reload': function(event) {
+        dispatched.push([event.type, event.detail, event.source]);
+      }
+    });
+  });
+
+  describe('::parseCommandLine(source)', function() {
+    it('converts options to the types of the argument schema', function() {
+      expect(registry.parseCommandLine('app:open-collection --db test --coll "my users" --limit=20 --readonly --tags a --tags b --filter.age 30')).to.deep.equal({
+        name: 'app:open-collection',
+        detail: {db: 'test', coll: 'my users', limit: 20, readonly: true, tags: ['a', 'b'], filter: {age: 30}}
+      });
+      expect(registry.parseCommandLine('app:open-collection --no-readonly --tags \'["x"]\'').detail).to.deep.equal({
+        readonly: false,
+        tags: ['x']
+      });
+      expect(registry.parseCommandLine('app:open-collection --readonly false --view true').detail).to.deep.equal({
+        readonly: false,
+        view: 'true'
+      });
+    });
+    it('leaves the options of commands without a schema as Strings', function() {
+      expect(registry.parseCommandLine('app:reload --force --delay 10 --no-cache')).to.deep.equal({
+        name: 'app:reload',
+        detail: {force: true, delay: '10', cache: false}
+      });
+      expect(registry.parseCommandLine('  app:reload ').detail).to.equal(null);
+    });
+    it('throws a CommandLineError listing every error', function() {
+      var error;
+      try {
+        registry.parseCommandLine('app:open-collection users --limit many --db "test');
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).to.be.an.instanceof(CommandRegistry.CommandLineError);
+      expect(error.code).to.equal('EBADCOMMANDLINE');
+      expect(error.errors).to.deep.equal([
+        {offset: 20, option: null, message: 'unexpected argument users'},
+        {offset: 26, option: 'limit', message: '--limit must be integer'},
+        {offset: 44, option: null, message: 'unterminated " quote'}
+      ]);
+      expect(function() {
+        registry.parseCommandLine('--db test');
+      }).to.throw(CommandRegistry.CommandLineError, 'Invalid command line: expected a command name');
+    });
+    return it('rejects options that would set properties of prototypes', function() {
+      ['--__proto__.polluted yes', '--constructor.prototype.polluted yes', '--filter.__proto__ x', '--no-__proto__'].forEach(function(options) {
+        expect(function() {
+          registry.parseCommandLine('app:reload ' + options);
+        }).to.throw(CommandRegistry.CommandLineError, 'is not a valid option name');
+      });
+      expect({}.polluted).to.equal(undefined);
+    });
+  });
+
+  describe('::formatCommandLine(commandName, detail)', function() {
+    return it('formats command lines that parse back to the same detail', function() {
+      var detail = {db: 'test', coll: 'my "users"', limit: 5, readonly: false, tags: ['a', 'b c'], filter: {age: 30}};
+      var source = registry.formatCommandLine('app:open-collection', detail);
+      expect(source).to.equal('app:open-collection --db test --coll "my \\"users\\"" --limit 5 --no-readonly --tags a --tags "b c" --filter.age 30');
+      expect(registry.parseCommandLine(source).detail).to.deep.equal(detail);
+      expect(registry.formatCommandLine('app:reload', null)).to.equal('app:reload');
+      expect(function() {
+        registry.formatCommandLine('app:reload', ['a']);
+      }).to.throw(CommandRegistry.CommandLineError, 'the detail of app:reload must be an Object');
+    });
+  });
+
+  describe('::completeCommandLine(target, source, cursor)', function() {
+    it('completes the names of the commands found on the target', function() {
+      expect(registry.completeCommandLine(collection, 'app:')).to.deep.equal({
+        start: 0,
+        end: 4,
+        candidates: ['app:open-collection', 'app:reload']
+      });
+      expect(registry.completeCommandLine({type: 'other'}, 'app:').candidates).to.deep.equal([]);
+    });
+    it('completes the options that were not given yet', function() {
+      expect(registry.completeCommandLine(collection, 'app:open-collection --db test --').candidates).to.deep.equal([
+        '--coll', '--limit', '--readonly', '--tags', '--view', '--filter'
+      ]);
+      expect(registry.completeCommandLine(collection, 'app:open-collection --tags a --t')).to.deep.equal({
+        start: 29,
+        end: 32,
+        candidates: ['--tags']
+      });
+    });
+    return it('completes the values of options', function() {
+      expect(registry.completeCommandLine(collection, 'app:open-collection --view ').candidates).to.deep.equal(['list', 'table', 'json']);
+      expect(registry.completeCommandLine(collection, 'app:open-collection --view t --db x', 28)).to.deep.equal({
+        start: 27,
+        end: 28,
+        candidates: ['table']
+      });
+      expect(registry.completeCommandLine(collection, 'app:open-collection --view=j').candidates).to.deep.equal(['--view=json']);
+      expect(registry.completeCommandLine(collection, 'app:open-collection --db ').candidates).to.deep.equal([]);
+      expect(registry.completeCommandLine(collection, 'app:open-collection --readonly ').candidates).to.include('--db');
+    });
+  });
+
+  describe('::dispatchCommandLine(target, source)', function() {
+    return it('dispatches the command with the parsed detail', function() {
+      expect(registry.dispatchCommandLine(collection, 'app:open-collection --db test --coll users')).to.equal(true);
+      expect(dispatched).to.deep.equal([['app:open-collection', {db: 'test', coll: 'users'}, 'command-line']]);
+      expect(function() {
+        registry.dispatchCommandLine(collection, 'app:open-collection --db test --limit 0');
+      }).to.throw(CommandRegistry.CommandArgumentError);
+    });
+  });
+
+  return describe('tokenize(source)', function() {
+    return it('handles quotes and escapes', function() {
+      expect(commandLine.tokenize('a "b \\" c" \'d \\ e\' f\\ g').tokens.map(function(token) {
+        return token.value;
+      })).to.deep.equal(['a', 'b " c', 'd \\ e', 'f g']);
+    });
+  });
+});
@@ -0,0 +1,158 @@
+var CommandRegistry = require('../');
+
+var expect = require('chai').expect;
+
+describe('CommandScope', function() {
+  var registry, scope, workspace, editor;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    scope = registry.scope('plugin-x');
+    workspace = {type: 'workspace'};
+    editor = {type: 'editor', parent: workspace};
+  });
+
+  var commandNames = function(target) {
+    return registry.findCommands({target: target}).map(function(command) {
+      return command.name;
+    }).sort();
+  };
+
+  it('returns the same scope for a name', function() {
+    expect(registry.scope('plugin-x')).to.equal(scope);
+    expect(registry.scope('plugin-y')).not.to.equal(scope);
+  });
+
+  it('lists the registrations of the scope only', function() {
+    registry.add('workspace', 'app:quit', function() {});
+    scope.add('editor', {
+      'plugin-x:format': {
+        didDispatch: function() {},
+        description: 'Format the document'
+      },
+      'plugin-x:lint': function() {}
+    });
+    scope.add(editor, 'plugin-x:run', function() {});
+    expect(scope.getRegistrations()).to.deep.equal([
+      {
+        name: 'plugin-x:format',
+        selector: 'editor',
+        specificity: 1,
+        metadata: {
+          description: 'Format the document',
+          displayName: 'Plugin X: Format'
+        },
+        scope: 'plugin-x'
+      }, {
+        name: 'plugin-x:lint',
+        selector: 'editor',
+        specificity: 1,
+        metadata: {
+          displayName: 'Plugin X: Lint'
+        },
+        scope: 'plugin-x'
+      }, {
+        name: 'plugin-x:run',
+        inline: true,
+        metadata: {
+          displayName: 'Plugin X: Run'
+        },
+        scope: 'plugin-x'
+      }
+    ]);
+  });
+
+  it('removes every listener of the scope when disposed', function() {
+    registry.add('workspace', 'app:quit', function() {});
+    scope.add('editor', 'plugin-x:format', function() {});
+    scope.add(editor, 'plugin-x:run', function() {});
+    expect(commandNames(editor)).to.deep.equal(['app:quit', 'plugin-x:format', 'plugin-x:run']);
+    scope.dispose();
+    expect(commandNames(editor)).to.deep.equal(['app:quit']);
+    expect(registry.dispatch(editor, 'plugin-x:run')).to.equal(false);
+    expect(registry.scope('plugin-x')).not.to.equal(scope);
+  });
+
+  it('removes the listeners restored from a snapshot when disposed again', function() {
+    var snapshot;
+    scope.add('editor', 'plugin-x:format', function() {});
+    snapshot = scope.getSnapshot();
+    scope.dispose();
+    scope.restoreSnapshot(snapshot);
+    expect(commandNames(editor)).to.deep.equal(['plugin-x:format']);
+    scope.dispose();
+    expect(commandNames(editor)).to.deep.equal([]);
+    expect(registry.dispatch(editor, 'plugin-x:format')).to.equal(false);
+  });
+
+  it('reports the commands it removes in a single batch', function() {
+    var batches = [];
+    scope.add('editor', 'plugin-x:format', function() {});
+    scope.add(editor, 'plugin-x:run', function() {});
+    registry.onDidRemoveCommand(function(changes) {
+      batches.push(changes.map(function(change) {
+        return change.name;
+      }));
+    });
+    scope.dispose();
+    expect(batches).to.deep.equal([['plugin-x:format', 'plugin-x:run']]);
+  });
+
+  it('removes single listeners with the returned disposable', function() {
+    var disposable = scope.add('editor', 'plugin-x:format', function() {});
+    scope.add('editor', 'plugin-x:lint', function() {});
+    disposable.dispose();
+    expect(commandNames(editor)).to.deep.equal(['plugin-x:lint']);
+  });
+
+  it('restores the listeners of the scope without touching the others', function() {
+    var snapshot;
+    var formatted = false;
+    var disposable = scope.add('editor', 'plugin-x:format', function() {
+      formatted = true;
+    });
+    snapshot = scope.getSnapshot();
+    disposable.dispose();
+    scope.add('editor', 'plugin-x:lint', function() {});
+    registry.add('workspace', 'app:quit', function() {});
+    scope.restoreSnapshot(snapshot);
+    expect(commandNames(editor)).to.deep.equal(['app:quit', 'plugin-x:format']);
+    registry.dispatch(editor, 'plugin-x:format');
+    expect(formatted).to.equal(true);
+  });
+
+  it('ignores the listeners of other scopes in the snapshot it restores', function() {
+    var calls = 0;
+    registry.add('editor', 'app:one', function() {
+      calls++;
+    });
+    scope.add(editor, 'plugin-x:run', function() {});
+    scope.restoreSnapshot(registry.getSnapshot());
+    expect(registry.getSnapshot().toJSON().commands.map(function(entry) {
+      return entry.name;
+    })).to.deep.equal(['app:one', 'plugin-x:run']);
+    registry.dispatch(editor, 'app:one');
+    expect(calls).to.equal(1);
+  });
+
+  it('records the scope in registry snapshots', function() {
+    var before = registry.getSnapshot();
+    scope.add('editor', 'plugin-x:format', function() {});
+    expect(before.diff(registry.getSnapshot())).to.deep.equal({
+      added: [
+        {
+          name: 'plugin-x:format',
+          selector: 'editor',
+          specificity: 1,
+          metadata: {
+            displayName: 'Plugin X: Format'
+          },
+          scope: 'plugin-x'
+        }
+      ],
+      removed: []
+    });
+  });
+});
@@ -0,0 +1,163 @@
+var CommandRegistry = require('../');
+var contextKeys = require('../lib/context-keys');
+
+var chai = require('chai');
+var spies = require('chai-spies');
+chai.use(spies);
+var expect = chai.expect;
+
+var ContextKeyService = contextKeys.ContextKeyService;
+var parseWhenClause = contextKeys.parseWhenClause;
+
+describe('ContextKeyService', function() {
+  var service;
+
+  beforeEach(function() {
+    service = new ContextKeyService({
+      isConnected: true,
+      collectionReadonly: false,
+      platform: 'darwin',
+      serverVersion: 3.6
+    });
+  });
+
+  describe('::evaluate(clause)', function() {
+    it('evaluates keys, negations and comparisons', function() {
+      expect(service.evaluate('isConnected')).to.equal(true);
+      expect(service.evaluate('!collectionReadonly')).to.equal(true);
+      expect(service.evaluate('missing')).to.equal(false);
+      expect(service.evaluate('platform == darwin')).to.equal(true);
+      expect(service.evaluate('platform != \'win32\'')).to.equal(true);
+      expect(service.evaluate('serverVersion >= 3.4')).to.equal(true);
+      expect(service.evaluate('serverVersion < 3.4')).to.equal(false);
+      expect(service.evaluate('missing == null')).to.equal(false);
+    });
+    it('combines clauses with precedence and parentheses', function() {
+      expect(service.evaluate('collectionReadonly && isConnected || platform == darwin')).to.equal(true);
+      expect(service.evaluate('collectionReadonly && (isConnected || platform == darwin)')).to.equal(false);
+      expect(service.evaluate('!(isConnected && collectionReadonly)')).to.equal(true);
+    });
+    return it('caches results until a key the clause depends on changes', function() {
+      var clause = parseWhenClause('isConnected && !collectionReadonly');
+      var evaluate = chai.spy.on(clause, 'evaluate');
+      expect(service.evaluate(clause)).to.equal(true);
+      expect(service.evaluate(clause)).to.equal(true);
+      service.set('platform', 'linux');
+      expect(service.evaluate(clause)).to.equal(true);
+      expect(evaluate).to.have.been.called.once;
+      service.set('collectionReadonly', true);
+      expect(service.evaluate(clause)).to.equal(false);
+      service.delete('collectionReadonly');
+      expect(service.evaluate(clause)).to.equal(true);
+      expect(evaluate).to.have.been.called.exactly(3);
+    });
+  });
+
+  describe('::onDidChange(callback)', function() {
+    return it('is called with the keys whose value changed', function() {
+      var changes = [];
+      service.onDidChange(function(change) {
+        changes.push(change.keys);
+      });
+      service.set({isConnected: true, platform: 'linux', focused: 'editor'});
+      service.set('isConnected', true);
+      service.delete('focused');
+      service.delete('focused');
+      expect(changes).to.deep.equal([['platform', 'focused'], ['focused']]);
+    });
+  });
+
+  return describe('parseWhenClause(source)', function() {
+    it('returns the keys the clause depends on', function() {
+      expect(parseWhenClause('a && (b == 1 || !c)').keys).to.deep.equal(['a', 'b', 'c']);
+    });
+    return it('throws a SyntaxError on invalid clauses', function() {
+      ['', 'a &&', '(a', 'a b', 'a == ', 'a = b', '== a'].forEach(function(source) {
+        expect(function() {
+          parseWhenClause(source);
+        }).to.throw(SyntaxError, source + ' is not a valid when clause');
+      });
+    });
+  });
+});
+
+describe('CommandRegistry when clauses', function() {
+  var registry, editor, pane, calls;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree,
+      contextKeys: new ContextKeyService({isConnected: false})
+    });
+    pane = {type: 'pane'};
+    editor = {type: 'editor', parent: pane};
+    calls = [];
+    registry.add('pane', 'connection:refresh', function() {
+      calls.push('pane');
+    });
+    registry.add('editor', 'connection:refresh', {
+      when: 'isConnected',
+      didDispatch: function() {
+        calls.push('editor');
+      }
+    });
+  });
+
+  it('skips listeners whose clause is false when dispatching', function() {
+    registry.dispatch(editor, 'connection:refresh');
+    registry.contextKeys.set('isConnected', true);
+    registry.dispatch(editor, 'connection:refresh');
+    expect(calls).to.deep.equal(['pane', 'editor', 'pane']);
+  });
+
+  it('skips listeners whose clause is false in ::findCommands', function() {
+    registry.add('editor', 'connection:disconnect', {when: 'isConnected', didDispatch: function() {}});
+    expect(registry.findCommands({target: editor})).to.deep.equal([{
+      name: 'connection:refresh',
+      displayName: 'Connection: Refresh'
+    }]);
+    registry.contextKeys.set('isConnected', true);
+    expect(registry.findCommands({target: editor}).map(function(command) {
+      return command.name;
+    }).sort()).to.deep.equal(['connection:disconnect', 'connection:refresh']);
+  });
+
+  it('applies to inline listeners', function() {
+    registry.add(editor, 'editor:save', {when: 'isConnected', didDispatch: function() {}});
+    expect(registry.dispatch(editor, 'editor:save')).to.equal(false);
+    registry.contextKeys.set('isConnected', true);
+    expect(registry.dispatch(editor, 'editor:save')).to.equal(true);
+  });
+
+  it('throws when adding a listener with an invalid clause', function() {
+    expect(function() {
+      registry.add('editor', 'editor:save', {when: 'isConnected &&', didDispatch: function() {}});
+    }).to.throw(SyntaxError, 'isConnected && is not a valid when clause');
+  });
+
+  it('includes clauses in snapshots', function() {
+    expect(registry.getSnapshot().toJSON().commands[0]).to.deep.equal({
+      name: 'connection:refresh',
+      selector: 'editor',
+      specificity: 1,
+      metadata: {displayName: 'Connection: Refresh'},
+      when: 'isConnected'
+    });
+  });
+
+  return it('updates the enabled state of commands when context keys change', function() {
+    var changes = [];
+    registry.add('editor', 'connection:disconnect', {when: 'isConnected', didDispatch: function() {}});
+    registry.onDidChangeEnabled(function(change) {
+      changes.push([change.name, change.enabled]);
+    });
+    registry.contextKeys.set('isConnected', true);
+    registry.updateEnabledState(editor);
+    registry.contextKeys.set('isConnected', false);
+    registry.contextKeys.set('isConnected', true);
+    expect(changes).to.deep.equal([
+      ['connection:disconnect', false],
+      ['connection:disconnect', true]
+    ]);
+  });
+});
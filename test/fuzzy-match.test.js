@@ -0,0 +1,23 @@
+var fuzzyMatch = require('../lib/fuzzy-match');
+
+var expect = require('chai').expect;
+
+describe('fuzzyMatch(query, string)', function() {
+  it('returns null when the string does not contain the query characters in order', function() {
+    expect(fuzzyMatch('xyz', 'Insert Comment')).to.equal(null);
+    expect(fuzzyMatch('ci', 'Italic')).to.equal(null);
+  });
+  it('ignores case and whitespace in the query', function() {
+    expect(fuzzyMatch('I C', 'insert comment').ranges).to.deep.equal([[0, 1], [7, 8]]);
+  });
+  it('prefers characters at the start of words', function() {
+    expect(fuzzyMatch('ic', 'Insert Comment').score).to.be.above(fuzzyMatch('ic', 'Italic').score);
+    expect(fuzzyMatch('tb', 'editor:toggleBold').ranges).to.deep.equal([[7, 8], [13, 14]]);
+  });
+  it('merges consecutive matched characters into one range', function() {
+    expect(fuzzyMatch('save', 'app:save-as').ranges).to.deep.equal([[4, 8]]);
+  });
+  return it('matches everything with a score of 0 when the query is empty', function() {
+    expect(fuzzyMatch('', 'anything')).to.deep.equal({score: 0, ranges: []});
+  });
+});
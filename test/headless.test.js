@@ -0,0 +1,101 @@
+var CommandRegistry = require('../');
+
+var expect = require('chai').expect;
+
+describe('CommandRegistry with the object target tree', function() {
+  var registry, workspace, pane, editor;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    workspace = {type: 'workspace'};
+    pane = {type: 'pane', classList: ['pane'], parent: workspace};
+    editor = {type: 'editor', classList: ['editor'], parent: pane};
+  });
+
+  it('invokes listeners on the target and its ancestors in order of specificity', function() {
+    var calls = [];
+    registry.add('workspace', 'command', function(event) {
+      expect(this).to.equal(workspace);
+      expect(event.target).to.equal(editor);
+      expect(event.currentTarget).to.equal(workspace);
+      expect(event.detail).to.deep.equal({a: 1});
+      calls.push('workspace');
+    });
+    registry.add('.editor', 'command', function() {
+      calls.push('.editor');
+    });
+    registry.add('pane editor.editor', 'command', function() {
+      calls.push('pane editor.editor');
+    });
+    registry.add(pane, 'command', function() {
+      calls.push('pane-inline');
+    });
+    expect(registry.dispatch(editor, 'command', {a: 1})).to.equal(true);
+    expect(calls).to.deep.equal(['pane editor.editor', '.editor', 'pane-inline', 'workspace']);
+  });
+  it('supports stopPropagation and preventDefault', function() {
+    var calls = [];
+    var dispatchedEvent = null;
+    registry.add('workspace', 'command', function() {
+      calls.push('workspace');
+    });
+    registry.add('.editor', 'command', function(event) {
+      calls.push('.editor');
+      event.preventDefault();
+      event.stopPropagation();
+      dispatchedEvent = event;
+    });
+    registry.dispatch(editor, 'command');
+    expect(calls).to.deep.equal(['.editor']);
+    expect(dispatchedEvent.eventPhase).to.equal(3);
+  });
+  it('returns false when no listener matched', function() {
+    registry.add('.pane', 'command', function() {});
+    expect(registry.dispatch(workspace, 'command')).to.equal(false);
+  });
+  it('finds the commands available on a target', function() {
+    registry.add('.pane', 'namespace:pane-command', function() {});
+    registry.add('.other', 'namespace:other-command', function() {});
+    registry.add(editor, 'namespace:inline-command', function() {});
+    expect(registry.findCommands({target: editor})).to.deep.equal([
+      {name: 'namespace:inline-command', displayName: 'Namespace: Inline Command'},
+      {name: 'namespace:pane-command', displayName: 'Namespace: Pane Command'}
+    ]);
+  });
+  it('updates the selector index when listeners are added and removed', function() {
+    var calls = [];
+    var disposable;
+    registry.add('.editor', 'command', function() {
+      calls.push('.editor');
+    });
+    registry.dispatch(editor, 'command');
+    disposable = registry.add('editor.editor', 'command', function() {
+      calls.push('editor.editor');
+    });
+    registry.add('#main', 'other-command', function() {});
+    registry.dispatch(editor, 'command');
+    disposable.dispose();
+    registry.dispatch(editor, 'command');
+    expect(calls).to.deep.equal(['.editor', 'editor.editor', '.editor', '.editor']);
+    editor.id = 'main';
+    expect(registry.findCommands({target: editor}).map(function(command) {
+      return command.name;
+    })).to.deep.equal(['command', 'other-command']);
+  });
+  it('describes nodes in dispatch traces', function() {
+    editor.id = 'main';
+    registry.setTracingEnabled(true);
+    registry.add('.editor', 'command', function() {});
+    registry.dispatch(editor, 'command');
+    expect(registry.getTraces()[0].targets.map(function(target) {
+      return target.node;
+    })).to.deep.equal(['editor#main.editor', 'pane.pane', 'workspace']);
+  });
+  return it('validates selectors without a DOM', function() {
+    expect(function() {
+      registry.add('<>', 'command', function() {});
+    }).to.throw('<> is not a valid selector');
+  });
+});
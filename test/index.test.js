@@ -284,6 +284,65 @@ describe('CommandRegistry', function() {
       }
       return expect(addError.message).to.contain('Can\'t register a command with non-function callback.');
     });
+    it('accepts a descriptor object with a didDispatch callback', function() {
+      var called = false;
+      registry.add('.grandchild', 'command', {
+        displayName: 'Run Command',
+        didDispatch: function(event) {
+          expect(this).to.deep.equal(grandchild);
+          expect(event.type).to.deep.equal('command');
+          called = true;
+        }
+      });
+      registry.dispatch(grandchild, 'command');
+      expect(called).to.deep.equal(true);
+    });
+    it('throws an error when called with a descriptor object without a didDispatch callback', function() {
+      var addError = null;
+      try {
+        registry.add('.selector', 'foo:bar', {displayName: 'Foo: Bar'});
+      } catch (error) {
+        addError = error;
+      }
+      return expect(addError.message).to.contain('Can\'t register a command with non-function callback.');
+    });
+    describe('when called with a selector list', function() {
+      it('matches each selector with its own specificity', function() {
+        var calls = [];
+        registry.add('.grandchild.foo, .child', 'command', function() {
+          calls.push(['list', this === grandchild ? 'grandchild' : 'child']);
+        });
+        registry.add('.grandchild', 'command', function() {
+          calls.push(['.grandchild', 'grandchild']);
+        });
+        grandchild.classList.add('foo');
+        registry.dispatch(grandchild, 'command');
+        return expect(calls).to.deep.equal([['list', 'grandchild'], ['.grandchild', 'grandchild'], ['list', 'child']]);
+      });
+      it('invokes the callback once per element matching several selectors', function() {
+        var calls = [];
+        registry.add('.parent div, div > .grandchild,.grandchild', 'command', function() {
+          calls.push(this);
+        });
+        registry.dispatch(grandchild, 'command');
+        return expect(calls).to.deep.equal([grandchild, child]);
+      });
+      it('does not duplicate the command in ::findCommands', function() {
+        registry.add('.grandchild, .child', 'namespace:command', function() {});
+        return expect(_.pluck(registry.findCommands({
+          target: grandchild
+        }), 'name').filter(function(name) {
+          return name === 'namespace:command';
+        })).to.deep.equal(['namespace:command']);
+      });
+      return it('removes every selector of the list with the returned disposable', function() {
+        var callback = chai.spy('callback');
+        registry.add('.grandchild, .child', 'command', callback).dispose();
+        registry.dispatch(grandchild, 'command');
+        expect(callback).not.to.have.been.called();
+        return expect(registry.getSnapshot().toJSON().commands).to.deep.equal([]);
+      });
+    });
     return it('throws an error when called with an non-function callback and object target', function() {
       var addError, badCallback, error;
       badCallback = null;
@@ -298,6 +357,62 @@ describe('CommandRegistry', function() {
     });
   });
   describe('::findCommands({target})', function() {
+    it('includes the key bindings reported by the key binding provider', function() {
+      var queries = [];
+      registry.setKeyBindingProvider({
+        findKeyBindings: function(params) {
+          queries.push(params);
+          return [
+            {command: 'namespace:command-1', keystrokes: 'ctrl-a'},
+            {command: 'namespace:command-1', keystrokes: 'ctrl-k ctrl-a'},
+            {command: 'namespace:command-1', keystrokes: 'ctrl-a'},
+            {command: 'namespace:unregistered', keystrokes: 'ctrl-u'}
+          ];
+        }
+      });
+      registry.add('.child', 'namespace:command-1', function() {});
+      registry.add('.child', 'namespace:command-2', function() {});
+      expect(registry.findCommands({
+        target: grandchild
+      })).to.deep.equal([
+        {
+          name: 'namespace:command-1',
+          displayName: 'Namespace: Command 1',
+          keyBindings: ['ctrl-a', 'ctrl-k ctrl-a']
+        }, {
+          name: 'namespace:command-2',
+          displayName: 'Namespace: Command 2',
+          keyBindings: []
+        }
+      ]);
+      expect(queries).to.deep.equal([{target: grandchild}]);
+    });
+    it('includes the metadata of commands registered with descriptors', function() {
+      registry.add('.child', 'namespace:command-1', {
+        displayName: 'Do The Thing',
+        description: 'Does the thing to the child',
+        tags: ['thing', 'child'],
+        didDispatch: function() {}
+      });
+      registry.add(grandchild, 'namespace:command-2', {
+        hiddenInCommandPalette: true,
+        didDispatch: function() {}
+      });
+      return expect(registry.findCommands({
+        target: grandchild
+      })).to.deep.equal([
+        {
+          name: 'namespace:command-2',
+          displayName: 'Namespace: Command 2',
+          hiddenInCommandPalette: true
+        }, {
+          name: 'namespace:command-1',
+          displayName: 'Do The Thing',
+          description: 'Does the thing to the child',
+          tags: ['thing', 'child']
+        }
+      ]);
+    });
     return it('returns commands that can be invoked on the target or its ancestors', function() {
       var commands, nonJqueryCommands;
       registry.add('.parent', 'namespace:command-1', function() {});
@@ -332,6 +447,49 @@ describe('CommandRegistry', function() {
       ]);
     });
   });
+  describe('::searchCommands({target, query, limit})', function() {
+    beforeEach(function() {
+      registry.add('.child', {
+        'editor:insert-comment': function() {},
+        'editor:italic': function() {},
+        'editor:toggle-bold': function() {},
+        'editor:internal': {
+          hiddenInCommandPalette: true,
+          didDispatch: function() {}
+        }
+      });
+    });
+    it('returns fuzzy matches ranked by match quality with the matched ranges', function() {
+      var results = registry.searchCommands({
+        target: grandchild,
+        query: 'ic'
+      });
+      expect(_.pluck(results, 'name')).to.deep.equal(['editor:insert-comment', 'editor:italic']);
+      expect(results[0].matches).to.deep.equal({
+        name: [[7, 8], [14, 15]],
+        displayName: [[8, 9], [15, 16]]
+      });
+    });
+    it('ranks commands that were dispatched before higher', function() {
+      registry.dispatch(grandchild, 'editor:italic');
+      expect(_.pluck(registry.searchCommands({
+        target: grandchild,
+        query: 'ic'
+      }), 'name')).to.deep.equal(['editor:italic', 'editor:insert-comment']);
+    });
+    return it('returns every visible command when the query is empty, up to the limit', function() {
+      registry.dispatch(grandchild, 'editor:toggle-bold');
+      expect(_.pluck(registry.searchCommands({
+        target: grandchild,
+        query: ''
+      }), 'name')).to.deep.equal(['editor:toggle-bold', 'editor:insert-comment', 'editor:italic']);
+      expect(registry.searchCommands({
+        target: grandchild,
+        query: '',
+        limit: 1
+      }).length).to.equal(1);
+    });
+  });
   describe('::dispatch(target, commandName)', function() {
     it('simulates invocation of the given command ', function() {
       var called;
@@ -347,15 +505,746 @@ describe('CommandRegistry', function() {
       registry.dispatch(grandchild, 'command');
       return expect(called).to.deep.equal(true);
     });
-    return it('returns a boolean indicating whether any listeners matched the command', function() {
+    it('returns a boolean indicating whether any listeners matched the command', function() {
       registry.add('.grandchild', 'command', function() {});
       expect(registry.dispatch(grandchild, 'command')).to.deep.equal(true);
       expect(registry.dispatch(grandchild, 'bogus')).to.deep.equal(false);
       return expect(registry.dispatch(parent, 'command')).to.deep.equal(false);
     });
+    describe('when the command declares an argument schema', function() {
+      var args = {
+        type: 'object',
+        properties: {
+          query: {
+            type: 'string',
+            minLength: 1
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            default: 20
+          }
+        },
+        required: ['query']
+      };
+      it('passes the detail with defaults to listeners', function() {
+        var detail = {
+          query: 'foo'
+        };
+        var received = null;
+        registry.add('.grandchild', 'namespace:search', {
+          args: args,
+          didDispatch: function(event) {
+            received = event.detail;
+          }
+        });
+        registry.dispatch(grandchild, 'namespace:search', detail);
+        expect(received).to.deep.equal({
+          query: 'foo',
+          limit: 20
+        });
+        return expect(detail).to.deep.equal({
+          query: 'foo'
+        });
+      });
+      it('throws a structured error before any listener runs', function() {
+        var listener = chai.spy('listener');
+        var willDispatch = chai.spy('will-dispatch');
+        var thrown = null;
+        registry.add('.grandchild', 'namespace:search', {
+          args: args,
+          didDispatch: listener
+        });
+        registry.add('.parent', 'namespace:search', listener);
+        registry.onWillDispatch(willDispatch);
+        try {
+          registry.dispatch(grandchild, 'namespace:search', {
+            limit: 0
+          });
+        } catch (error) {
+          thrown = error;
+        }
+        expect(thrown).to.be.an.instanceof(CommandRegistry.CommandArgumentError);
+        expect(thrown.commandName).to.equal('namespace:search');
+        expect(thrown.errors).to.deep.equal([
+          {
+            path: 'detail',
+            message: 'must have property query',
+            keyword: 'required'
+          }, {
+            path: 'detail.limit',
+            message: 'must be >= 1',
+            keyword: 'minimum'
+          }
+        ]);
+        expect(listener).not.to.have.been.called();
+        return expect(willDispatch).not.to.have.been.called();
+      });
+      it('rejects asynchronous dispatches with invalid detail', function() {
+        registry.add('.grandchild', 'namespace:search', {
+          args: args,
+          didDispatch: function() {}
+        });
+        return registry.dispatchAsync(grandchild, 'namespace:search', {
+          query: 42
+        }).then(function() {
+          throw new Error('Expected the dispatch to be rejected');
+        }, function(error) {
+          expect(error.code).to.equal('EBADARGS');
+          return expect(error.errors[0].path).to.equal('detail.query');
+        });
+      });
+      return it('exposes the schema through ::findCommands', function() {
+        registry.add('.grandchild', 'namespace:search', {
+          args: args,
+          didDispatch: function() {}
+        });
+        return expect(_.findWhere(registry.findCommands({
+          target: grandchild
+        }), {
+          name: 'namespace:search'
+        }).args).to.equal(args);
+      });
+    });
+  });
+  describe('::dispatchAsync(target, commandName)', function() {
+    it('resolves with the settled values returned by the listeners', function() {
+      var error = new Error('failed');
+      registry.add('.grandchild', 'command', function() {
+        return Promise.resolve('async');
+      });
+      registry.add('.child', 'command', function() {
+        return 'sync';
+      });
+      registry.add('.parent', 'command', function() {
+        return Promise.reject(error);
+      });
+      return registry.dispatchAsync(grandchild, 'command').then(function(result) {
+        expect(result.matched).to.deep.equal(true);
+        expect(result.results).to.deep.equal([
+          {status: 'fulfilled', value: 'async'},
+          {status: 'fulfilled', value: 'sync'},
+          {status: 'rejected', reason: error}
+        ]);
+      });
+    });
+    it('records errors thrown by listeners without skipping the remaining listeners', function() {
+      var error = new Error('thrown');
+      var called = false;
+      registry.add('.grandchild', 'command', function() {
+        throw error;
+      });
+      registry.add('.child', 'command', function() {
+        called = true;
+      });
+      return registry.dispatchAsync(grandchild, 'command').then(function(result) {
+        expect(called).to.deep.equal(true);
+        expect(result.results[0]).to.deep.equal({status: 'rejected', reason: error});
+      });
+    });
+    it('resolves with matched set to false when no listeners matched the command', function() {
+      return registry.dispatchAsync(grandchild, 'bogus').then(function(result) {
+        expect(result).to.deep.equal({matched: false, results: []});
+      });
+    });
+    return it('invokes ::onDidDispatch callbacks once all listeners have completed', function() {
+      var sequence = [];
+      registry.add('.grandchild', 'command', function() {
+        return new Promise(function(resolve) {
+          setTimeout(function() {
+            sequence.push('listener');
+            resolve();
+          }, 10);
+        });
+      });
+      registry.onDidDispatch(function() {
+        sequence.push('onDidDispatch');
+      });
+      return registry.dispatchAsync(grandchild, 'command').then(function() {
+        expect(sequence).to.deep.equal(['listener', 'onDidDispatch']);
+      });
+    });
+  });
+  describe('::undo() and ::redo()', function() {
+    var items;
+    beforeEach(function() {
+      items = [];
+      registry.add('.child', 'list:push', {
+        didDispatch: function(event) {
+          items.push(event.detail);
+        },
+        undo: function(event) {
+          expect(this).to.equal(child);
+          items.splice(items.lastIndexOf(event.detail), 1);
+        }
+      });
+      registry.add('.child', 'list:log', function() {});
+    });
+    it('reverts and reapplies undoable commands', function() {
+      expect(registry.canUndo()).to.equal(false);
+      registry.dispatch(grandchild, 'list:push', 'a');
+      registry.dispatch(grandchild, 'list:log');
+      registry.dispatch(grandchild, 'list:push', 'b');
+      expect(registry.undo()).to.equal(true);
+      expect(items).to.deep.equal(['a']);
+      expect(registry.undo()).to.equal(true);
+      expect(items).to.deep.equal([]);
+      expect(registry.canUndo()).to.equal(false);
+      expect(registry.redo()).to.equal(true);
+      expect(items).to.deep.equal(['a']);
+      expect(registry.canRedo()).to.equal(true);
+    });
+    it('undoes every command dispatched in a transaction at once', function() {
+      registry.transact(function() {
+        registry.dispatch(grandchild, 'list:push', 'a');
+        registry.dispatch(grandchild, 'list:push', 'b');
+      });
+      registry.undo();
+      expect(items).to.deep.equal([]);
+    });
+    it('does not record commands whose async listeners fail', function() {
+      registry.add('.child', 'list:fail', {
+        didDispatch: function() {
+          return Promise.reject(new Error('failed'));
+        },
+        undo: function() {}
+      });
+      return registry.dispatchAsync(grandchild, 'list:fail').then(function() {
+        expect(registry.canUndo()).to.equal(false);
+      });
+    });
+    return it('invokes callbacks registered with ::onDidChangeHistory', function() {
+      var events = [];
+      registry.onDidChangeHistory(function(event) {
+        events.push(event);
+      });
+      registry.dispatch(grandchild, 'list:push', 'a');
+      registry.undo();
+      expect(_.pluck(events, 'canUndo')).to.deep.equal([true, false]);
+      expect(events[1].redoCommandName).to.equal('list:push');
+    });
+  });
+  describe('enabled predicates', function() {
+    var connected;
+    beforeEach(function() {
+      connected = false;
+      registry.add('.child', 'connection:disconnect', {
+        enabled: function(target) {
+          expect(this).to.equal(child);
+          expect(target).to.equal(grandchild);
+          return connected;
+        },
+        didDispatch: function() {}
+      });
+    });
+    it('skips disabled listeners when dispatching', function() {
+      var calls = [];
+      registry.add('.parent', 'connection:disconnect', function() {
+        calls.push('parent');
+      });
+      registry.add('.child', 'connection:disconnect', {
+        enabled: false,
+        didDispatch: function() {
+          calls.push('child');
+        }
+      });
+      expect(registry.dispatch(grandchild, 'connection:disconnect')).to.equal(true);
+      expect(calls).to.deep.equal(['parent']);
+    });
+    it('does not count disabled listeners as matching', function() {
+      expect(registry.dispatch(grandchild, 'connection:disconnect')).to.equal(false);
+      connected = true;
+      expect(registry.dispatch(grandchild, 'connection:disconnect')).to.equal(true);
+    });
+    it('marks commands without enabled listeners in ::findCommands', function() {
+      expect(registry.findCommands({target: grandchild})).to.deep.equal([{
+        name: 'connection:disconnect',
+        displayName: 'Connection: Disconnect',
+        enabled: false
+      }]);
+      registry.add('.parent', 'connection:disconnect', function() {});
+      expect(registry.findCommands({target: grandchild})[0].enabled).to.equal(undefined);
+    });
+    return it('invokes ::onDidChangeEnabled callbacks from ::updateEnabledState', function() {
+      var changes = [];
+      registry.onDidChangeEnabled(function(change) {
+        changes.push(change);
+      });
+      registry.updateEnabledState(grandchild);
+      connected = true;
+      registry.updateEnabledState(grandchild);
+      registry.updateEnabledState(grandchild);
+      expect(changes).to.deep.equal([
+        {name: 'connection:disconnect', enabled: false, target: grandchild},
+        {name: 'connection:disconnect', enabled: true, target: grandchild}
+      ]);
+    });
+  });
+  describe('::alias(aliasName, commandName, options)', function() {
+    it('routes dispatches and DOM events of the alias to the command', function() {
+      var types = [];
+      registry.add('.grandchild', 'new:name', function(event) {
+        types.push(event.type);
+      });
+      registry.alias('old:name', 'new:name');
+      expect(registry.dispatch(grandchild, 'old:name')).to.equal(true);
+      grandchild.dispatchEvent(new CustomEvent('old:name', {
+        bubbles: true
+      }));
+      return expect(types).to.deep.equal(['new:name', 'new:name']);
+    });
+    it('follows chains of aliases', function() {
+      var listener = chai.spy('listener');
+      registry.add('.grandchild', 'newest:name', listener);
+      registry.alias('old:name', 'new:name');
+      registry.alias('new:name', 'newest:name');
+      registry.dispatch(grandchild, 'old:name');
+      expect(listener).to.have.been.called.once;
+      return expect(function() {
+        return registry.alias('newest:name', 'old:name');
+      }).to.throw('Can\'t alias newest:name to old:name');
+    });
+    it('reports deprecated aliases once', function() {
+      var usages = [];
+      registry.add('.grandchild', 'new:name', function() {});
+      registry.alias('old:name', 'new:name', {
+        deprecated: true,
+        message: 'Update your keymap.'
+      });
+      registry.onDidUseDeprecatedCommand(function(usage) {
+        usages.push(usage);
+      });
+      registry.dispatch(grandchild, 'old:name');
+      registry.dispatch(grandchild, 'old:name');
+      registry.dispatch(grandchild, 'new:name');
+      return expect(usages).to.deep.equal([
+        {
+          name: 'old:name',
+          commandName: 'new:name',
+          message: 'Update your keymap.'
+        }
+      ]);
+    });
+    it('warns about deprecations when nothing is subscribed', function() {
+      var emitWarning = process.emitWarning;
+      var warnings = [];
+      registry.add('.grandchild', 'new:name', function() {});
+      registry.alias('old:name', 'new:name', {
+        deprecated: true
+      });
+      process.emitWarning = function(message, type) {
+        warnings.push([message, type]);
+      };
+      try {
+        expect(registry.dispatch(grandchild, 'old:name')).to.equal(true);
+        expect(registry.dispatch(grandchild, 'old:name')).to.equal(true);
+      } finally {
+        process.emitWarning = emitWarning;
+      }
+      return expect(warnings).to.deep.equal([['old:name is deprecated, use new:name instead.', 'DeprecationWarning']]);
+    });
+    it('hides aliases from ::findCommands', function() {
+      registry.add('.grandchild', 'new:name', function() {});
+      registry.add('.grandchild', 'old:name', function() {});
+      registry.alias('old:name', 'new:name');
+      return expect(_.pluck(registry.findCommands({
+        target: grandchild
+      }), 'name')).not.to.include('old:name');
+    });
+    it('lists key bindings of the alias under the command', function() {
+      registry.add('.grandchild', 'new:name', function() {});
+      registry.alias('old:name', 'new:name');
+      registry.setKeyBindingProvider({
+        findKeyBindings: function() {
+          return [
+            {
+              command: 'old:name',
+              keystrokes: 'ctrl-o'
+            }
+          ];
+        }
+      });
+      return expect(_.findWhere(registry.findCommands({
+        target: grandchild
+      }), {
+        name: 'new:name'
+      }).keyBindings).to.deep.equal(['ctrl-o']);
+    });
+    return it('removes the alias with the returned disposable', function() {
+      var listener = chai.spy('listener');
+      registry.add('.grandchild', 'new:name', listener);
+      registry.alias('old:name', 'new:name').dispose();
+      expect(registry.dispatch(grandchild, 'old:name')).to.equal(false);
+      return expect(listener).not.to.have.been.called();
+    });
+  });
+  describe('::onDidFailDispatch(callback)', function() {
+    it('reports errors thrown by listeners and keeps invoking the others', function() {
+      var error = new Error('buggy plugin');
+      var failures = [];
+      var calls = [];
+      var buggy = function() {
+        calls.push('buggy');
+        throw error;
+      };
+      registry.add('.grandchild', 'command', buggy);
+      registry.add('.child', 'command', function() {
+        calls.push('child');
+      });
+      registry.onDidFailDispatch(function(failure) {
+        failures.push(failure);
+      });
+      var didDispatch = chai.spy('did-dispatch');
+      registry.onDidDispatch(didDispatch);
+      expect(registry.dispatch(grandchild, 'command')).to.equal(true);
+      expect(calls).to.deep.equal(['buggy', 'child']);
+      expect(didDispatch).to.have.been.called.once;
+      expect(failures.length).to.equal(1);
+      expect(failures[0].error).to.equal(error);
+      expect(failures[0].listener).to.equal(buggy);
+      expect(failures[0].commandName).to.equal('command');
+      expect(failures[0].selector).to.equal('.grandchild');
+      expect(failures[0].currentTarget).to.equal(grandchild);
+      return expect(failures[0].event.type).to.equal('command');
+    });
+    it('stops the dispatch on errors when the error policy is stop', function() {
+      var registry2 = new CommandRegistry({
+        errorPolicy: 'stop'
+      });
+      var later = chai.spy('later');
+      var failure = chai.spy('failure');
+      registry2.add(grandchild, 'command', function() {
+        throw new Error('failed');
+      });
+      registry2.add('.child', 'command', later);
+      registry2.onDidFailDispatch(failure);
+      registry2.dispatch(grandchild, 'command');
+      expect(failure).to.have.been.called.once;
+      return expect(later).not.to.have.been.called();
+    });
+    it('throws the first error after invoking every listener when the error policy is throw', function() {
+      var registry2 = new CommandRegistry({
+        errorPolicy: 'throw'
+      });
+      var first = new Error('first');
+      var later = chai.spy('later');
+      var didDispatch = chai.spy('didDispatch');
+      var originalSetTimeout = setTimeout;
+      var callbacks = [];
+      registry2.add(grandchild, 'command', function() {
+        throw first;
+      });
+      registry2.add('.child', 'command', function() {
+        throw new Error('second');
+      });
+      registry2.add('.parent', 'command', later);
+      registry2.onDidDispatch(didDispatch);
+      global.setTimeout = function(callback) {
+        callbacks.push(callback);
+      };
+      try {
+        expect(function() {
+          registry2.dispatch(grandchild, 'command');
+        }).to.throw(first);
+      } finally {
+        global.setTimeout = originalSetTimeout;
+      }
+      expect(later).to.have.been.called.once;
+      expect(didDispatch).to.have.been.called.once;
+      return expect(callbacks).to.deep.equal([]);
+    });
+    it('does not record undo steps of listeners that threw', function() {
+      registry.add('.grandchild', 'command', {
+        didDispatch: function() {
+          throw new Error('failed');
+        },
+        undo: function() {}
+      });
+      registry.onDidFailDispatch(function() {});
+      registry.dispatch(grandchild, 'command');
+      return expect(registry.canUndo()).to.equal(false);
+    });
+    it('throws errors again asynchronously when nothing is subscribed', function() {
+      var error = new Error('failed');
+      var later = chai.spy('later');
+      var originalSetTimeout = setTimeout;
+      var callbacks = [];
+      registry.add('.grandchild', 'command', function() {
+        throw error;
+      });
+      registry.add('.child', 'command', later);
+      global.setTimeout = function(callback) {
+        callbacks.push(callback);
+      };
+      try {
+        expect(registry.dispatch(grandchild, 'command')).to.equal(true);
+      } finally {
+        global.setTimeout = originalSetTimeout;
+      }
+      expect(later).to.have.been.called.once;
+      expect(callbacks.length).to.equal(1);
+      return expect(callbacks[0]).to.throw(error);
+    });
+    return it('reports rejections of asynchronous listeners', function() {
+      var error = new Error('rejected');
+      var failures = [];
+      registry.add(grandchild, 'command', function() {
+        return Promise.reject(error);
+      });
+      registry.onDidFailDispatch(function(failure) {
+        failures.push(failure);
+      });
+      return registry.dispatchAsync(grandchild, 'command').then(function() {
+        expect(failures.length).to.equal(1);
+        expect(failures[0].error).to.equal(error);
+        return expect(failures[0].selector).to.equal(null);
+      });
+    });
+  });
+  describe('::setTracingEnabled(enabled)', function() {
+    beforeEach(function() {
+      return registry.setTracingEnabled(true);
+    });
+    it('records the listeners invoked on each visited node', function() {
+      var traces = [];
+      grandchild.id = 'target';
+      registry.add('.grandchild', 'command', function() {});
+      registry.add('div', 'command', function() {});
+      registry.add(child, 'command', function() {});
+      registry.add('.parent', 'command', {
+        didDispatch: function() {},
+        enabled: false
+      });
+      registry.onDidTrace(function(trace) {
+        traces.push(trace);
+      });
+      registry.dispatch(grandchild, 'command');
+      expect(traces.length).to.equal(1);
+      expect(traces[0].commandName).to.equal('command');
+      expect(traces[0].target).to.equal('div#target.grandchild');
+      expect(traces[0].matched).to.equal(true);
+      expect(traces[0].cancelled).to.equal(false);
+      expect(traces[0].duration).to.be.a('number');
+      expect(_.pluck(traces[0].targets, 'node').slice(0, 3)).to.deep.equal(['div#target.grandchild', 'div.child', 'div.parent']);
+      expect(_.last(traces[0].targets).node).to.equal('window');
+      expect(traces[0].targets.slice(0, 3).map(function(target) {
+        return target.listeners.map(function(listener) {
+          return [listener.selector, listener.specificity, listener.inline, listener.status];
+        });
+      })).to.deep.equal([
+        [['.grandchild', 10, false, 'invoked'], ['div', 1, false, 'invoked']],
+        [[null, null, true, 'invoked'], ['div', 1, false, 'invoked']],
+        [['.parent', 10, false, 'disabled'], ['div', 1, false, 'invoked']]
+      ]);
+      expect(traces[0].targets[0].listeners[0].duration).to.be.a('number');
+      return expect(JSON.parse(JSON.stringify(traces[0]))).to.deep.equal(traces[0]);
+    });
+    it('records the listeners skipped because propagation stopped', function() {
+      registry.add('.grandchild', 'command', function(event) {
+        event.stopImmediatePropagation();
+      });
+      registry.add('div', 'command', function() {});
+      registry.add('.child', 'command', function() {});
+      registry.dispatch(grandchild, 'command');
+      var trace = registry.getTraces()[0];
+      expect(_.pluck(trace.targets[0].listeners, 'status')).to.deep.equal(['invoked', 'skipped']);
+      return expect(_.pluck(trace.targets[1].listeners, 'status')).to.deep.equal(['skipped', 'skipped']);
+    });
+    it('records dispatches cancelled by middleware', function() {
+      registry.add('.grandchild', 'command', function() {});
+      registry.use(function() {});
+      registry.dispatch(grandchild, 'command');
+      expect(registry.getTraces()[0].cancelled).to.equal(true);
+      return expect(registry.getTraces()[0].targets).to.deep.equal([]);
+    });
+    it('keeps the most recent traces in a ring buffer', function() {
+      registry.setTracingEnabled(true, {
+        bufferSize: 2
+      });
+      registry.dispatch(grandchild, 'command-1');
+      registry.dispatch(grandchild, 'command-2');
+      registry.dispatch(grandchild, 'command-3');
+      expect(_.pluck(registry.getTraces(), 'commandName')).to.deep.equal(['command-2', 'command-3']);
+      registry.clearTraces();
+      return expect(registry.getTraces()).to.deep.equal([]);
+    });
+    return it('records nothing when disabled', function() {
+      var traced = chai.spy('traced');
+      registry.setTracingEnabled(false);
+      registry.onDidTrace(traced);
+      registry.dispatch(grandchild, 'command');
+      expect(traced).not.to.have.been.called();
+      return expect(registry.getTraces()).to.deep.equal([]);
+    });
+  });
+  describe('::use(middleware)', function() {
+    it('runs middleware in order around the listeners', function() {
+      var calls = [];
+      registry.add('.grandchild', 'command', function() {
+        calls.push('listener');
+      });
+      registry.use(function(event, next) {
+        var matched;
+        calls.push('first:before');
+        matched = next();
+        calls.push('first:after ' + matched);
+        return matched;
+      });
+      registry.use(function(event, next) {
+        calls.push('second:before');
+        return next();
+      });
+      expect(registry.dispatch(grandchild, 'command')).to.equal(true);
+      return expect(calls).to.deep.equal(['first:before', 'second:before', 'listener', 'first:after true']);
+    });
+    it('cancels the dispatch when a middleware does not call next', function() {
+      var listener = chai.spy('listener');
+      var didDispatch = chai.spy('did-dispatch');
+      registry.add('.grandchild', 'command', listener);
+      registry.onDidDispatch(didDispatch);
+      registry.use(function() {
+        return false;
+      });
+      expect(registry.dispatch(grandchild, 'command')).to.equal(false);
+      expect(listener).not.to.have.been.called();
+      return expect(didDispatch).not.to.have.been.called();
+    });
+    it('lets middleware rewrite the detail', function() {
+      var received = null;
+      registry.add('.grandchild', 'command', function(event) {
+        received = event.detail;
+      });
+      registry.use(function(event, next) {
+        event.detail = _.extend({
+          rewritten: true
+        }, event.detail);
+        return next();
+      });
+      registry.dispatch(grandchild, 'command', {
+        a: 1
+      });
+      return expect(received).to.deep.equal({
+        rewritten: true,
+        a: 1
+      });
+    });
+    it('validates rewritten details against the argument schema', function() {
+      registry.add('.grandchild', 'command', {
+        args: {
+          type: 'string'
+        },
+        didDispatch: function() {}
+      });
+      registry.use(function(event, next) {
+        event.detail = 42;
+        return next();
+      });
+      return expect(function() {
+        return registry.dispatch(grandchild, 'command', 'valid');
+      }).to.throw(CommandRegistry.CommandArgumentError);
+    });
+    it('waits for asynchronous middleware in ::dispatchAsync', function() {
+      var listener = chai.spy('listener');
+      registry.add('.grandchild', 'command', listener);
+      registry.use(function(event, next) {
+        return Promise.resolve().then(function() {
+          expect(listener).not.to.have.been.called();
+          return next();
+        }).then(function(result) {
+          expect(result.matched).to.equal(true);
+          return result;
+        });
+      });
+      return registry.dispatchAsync(grandchild, 'command').then(function(result) {
+        expect(result.matched).to.equal(true);
+        return expect(listener).to.have.been.called.once;
+      });
+    });
+    return it('removes middleware when its disposable is disposed', function() {
+      var middleware = chai.spy(function(event, next) {
+        return next();
+      });
+      registry.add('.grandchild', 'command', function() {});
+      registry.use(middleware).dispose();
+      registry.dispatch(grandchild, 'command');
+      return expect(middleware).not.to.have.been.called();
+    });
+  });
+  describe('::onDidAddCommand, ::onDidUpdateCommand and ::onDidRemoveCommand', function() {
+    var events;
+    beforeEach(function() {
+      events = [];
+      ['Add', 'Update', 'Remove'].forEach(function(type) {
+        registry['onDid' + type + 'Command'](function(changes) {
+          events.push([type].concat(changes.map(function(change) {
+            return change.name + ' ' + (change.selector || (change.element != null ? change.element.className : 'inline'));
+          })));
+        });
+      });
+    });
+    it('reports commands gaining their first and losing their last listener', function() {
+      var first = registry.add('.child', 'app:save', {displayName: 'Save', didDispatch: function() {}});
+      var second = registry.add(grandchild, 'app:save', function() {});
+      second.dispose();
+      first.dispose();
+      first.dispose();
+      expect(events).to.deep.equal([
+        ['Add', 'app:save .child'],
+        ['Update', 'app:save grandchild'],
+        ['Update', 'app:save grandchild'],
+        ['Remove', 'app:save .child']
+      ]);
+    });
+    it('passes the metadata of the listener', function() {
+      var changes = [];
+      registry.onDidAddCommand(function(added) {
+        changes = added;
+      });
+      registry.add(child, 'app:save', {displayName: 'Save', tags: ['file'], didDispatch: function() {}});
+      expect(changes).to.deep.equal([{
+        name: 'app:save',
+        element: child,
+        metadata: {displayName: 'Save', tags: ['file']}
+      }]);
+    });
+    it('batches the changes of bulk registrations', function() {
+      var disposable = registry.add('.child', {
+        'app:save': function() {},
+        'app:close': function() {}
+      });
+      registry.add('.parent, .child', 'app:save', function() {});
+      disposable.dispose();
+      expect(events).to.deep.equal([
+        ['Add', 'app:save .child', 'app:close .child'],
+        ['Update', 'app:save .parent', 'app:save .child'],
+        ['Update', 'app:save .child'],
+        ['Remove', 'app:close .child']
+      ]);
+    });
+    return it('reports the difference restored from a snapshot in one batch', function() {
+      var snapshot;
+      var disposable = registry.add('.child', {
+        'app:save': function() {},
+        'app:close': function() {}
+      });
+      snapshot = registry.getSnapshot();
+      disposable.dispose();
+      registry.add('.parent', 'app:save', function() {});
+      registry.add(grandchild, 'z:cmd', function() {});
+      events = [];
+      registry.restoreSnapshot(snapshot);
+      expect(events).to.deep.equal([
+        ['Add', 'app:close .child'],
+        ['Update', 'app:save .child', 'app:save .parent'],
+        ['Remove', 'z:cmd inline']
+      ]);
+      events = [];
+      registry.restoreSnapshot(snapshot);
+      expect(events).to.deep.equal([]);
+    });
   });
   describe('::getSnapshot and ::restoreSnapshot', function() {
-    return it('removes all command handlers except for those in the snapshot', function() {
+    it('removes all command handlers except for those in the snapshot', function() {
       var snapshot;
       registry.add('.parent', 'namespace:command-1', function() {});
       registry.add('.child', 'namespace:command-2', function() {});
@@ -401,8 +1290,201 @@ describe('CommandRegistry', function() {
         }
       ]);
     });
+    it('removes inline listeners added after the snapshot', function() {
+      var calls = [];
+      registry.add(child, 'namespace:inline-1', function() {
+        calls.push('inline-1');
+      });
+      var snapshot = registry.getSnapshot();
+      registry.add(child, 'namespace:inline-1', function() {
+        calls.push('inline-1 after');
+      });
+      registry.add(child, 'namespace:inline-2', function() {
+        calls.push('inline-2');
+      });
+      registry.restoreSnapshot(snapshot);
+      registry.dispatch(child, 'namespace:inline-1');
+      registry.dispatch(child, 'namespace:inline-2');
+      expect(calls).to.deep.equal(['inline-1']);
+      return expect(_.pluck(registry.findCommands({
+        target: child
+      }), 'name')).not.to.include('namespace:inline-2');
+    });
+    it('keeps disposables working across restores', function() {
+      var disposable = registry.add('.child', 'namespace:command-1', function() {});
+      var snapshot = registry.getSnapshot();
+      registry.restoreSnapshot(snapshot);
+      disposable.dispose();
+      expect(_.pluck(registry.findCommands({
+        target: child
+      }), 'name')).not.to.include('namespace:command-1');
+      registry.restoreSnapshot(snapshot);
+      return expect(_.pluck(registry.findCommands({
+        target: child
+      }), 'name')).to.include('namespace:command-1');
+    });
+    it('serializes snapshots to sorted JSON', function() {
+      registry.add('.parent', 'namespace:b', {
+        didDispatch: function() {},
+        description: 'B'
+      });
+      registry.add(child, 'namespace:b', function() {});
+      registry.add('.child', 'namespace:a', function() {});
+      return expect(JSON.parse(JSON.stringify(registry.getSnapshot()))).to.deep.equal({
+        commands: [
+          {
+            name: 'namespace:a',
+            selector: '.child',
+            specificity: 10,
+            metadata: {
+              displayName: 'Namespace: A'
+            }
+          }, {
+            name: 'namespace:b',
+            inline: true,
+            metadata: {
+              displayName: 'Namespace: B'
+            }
+          }, {
+            name: 'namespace:b',
+            selector: '.parent',
+            specificity: 10,
+            metadata: {
+              description: 'B',
+              displayName: 'Namespace: B'
+            }
+          }
+        ]
+      });
+    });
+    return it('diffs snapshots', function() {
+      registry.add('.parent', 'namespace:command-1', function() {});
+      var disposable = registry.add('.child', 'namespace:command-2', function() {});
+      var before = registry.getSnapshot();
+      disposable.dispose();
+      registry.add(child, 'namespace:command-3', function() {});
+      return expect(before.diff(registry.getSnapshot())).to.deep.equal({
+        added: [
+          {
+            name: 'namespace:command-3',
+            inline: true,
+            metadata: {
+              displayName: 'Namespace: Command 3'
+            }
+          }
+        ],
+        removed: [
+          {
+            name: 'namespace:command-2',
+            selector: '.child',
+            specificity: 10,
+            metadata: {
+              displayName: 'Namespace: Command 2'
+            }
+          }
+        ]
+      });
+    });
+  });
+  describe('shadow trees', function() {
+    var host, inner;
+    beforeEach(function() {
+      host = document.createElement('div');
+      host.classList.add('host');
+      grandchild.appendChild(host);
+      inner = document.createElement('span');
+      inner.classList.add('inner');
+      // Chromium 49 only implements the deprecated createShadowRoot.
+      (typeof host.attachShadow === 'function' ? host.attachShadow({mode: 'open'}) : host.createShadowRoot()).appendChild(inner);
+    });
+    it('routes commands from inside shadow trees through the host and its ancestors', function() {
+      var calls = [];
+      registry.add('.child', 'command', function(event) {
+        expect(event.target).to.equal(inner);
+        calls.push(this);
+      });
+      registry.add('.inner', 'command', function() {
+        calls.push('selector');
+      });
+      registry.add(inner, 'command', function() {
+        calls.push('inline');
+      });
+      expect(registry.dispatch(inner, 'command')).to.equal(true);
+      expect(calls).to.deep.equal(['inline', child]);
+      expect(_.pluck(registry.findCommands({target: inner}), 'name')).to.deep.equal(['command']);
+    });
+    it('handles DOM events dispatched inside shadow trees', function() {
+      var targets = [];
+      registry.add('.host', 'command', function(event) {
+        targets.push(event.target);
+      });
+      inner.dispatchEvent(new CustomEvent('command', {
+        bubbles: true,
+        composed: true
+      }));
+      expect(targets).to.deep.equal([inner]);
+    });
+    return it('matches selectors inside shadow trees with the matchShadowTrees option', function() {
+      var calls = [];
+      var registry2 = new CommandRegistry({matchShadowTrees: true});
+      registry2.add('.inner', 'command', function() {
+        calls.push('inner');
+      });
+      registry2.add('.host', 'command', function() {
+        calls.push('host');
+      });
+      registry2.dispatch(inner, 'command');
+      expect(calls).to.deep.equal(['inner', 'host']);
+    });
   });
   return describe('::attach(rootNode)', function() {
+    var fire = function(node, commandName) {
+      node.dispatchEvent(new CustomEvent(commandName, {
+        bubbles: true
+      }));
+    };
+    it('handles the events of several roots, once when they are nested', function() {
+      var popout = document.createElement('div');
+      var calls = [];
+      popout.classList.add('grandchild');
+      registry.attach(popout);
+      registry.attach(child);
+      registry.add('.grandchild', 'command', function() {
+        calls.push(this);
+      });
+      fire(grandchild, 'command');
+      fire(popout, 'command');
+      expect(calls).to.deep.equal([grandchild, popout]);
+      expect(registry.rootNodes).to.deep.equal([parent, popout, child]);
+    });
+    it('stops handling the events of detached roots', function() {
+      var commandSpy = chai.spy('command-callback');
+      registry.add('.grandchild', 'command', commandSpy);
+      registry.detach(parent);
+      fire(grandchild, 'command');
+      expect(commandSpy).not.to.have.been.called();
+      expect(registry.rootNode).to.equal(null);
+    });
+    it('removes the event listeners of commands without listeners', function() {
+      var commandSpy = chai.spy('command-callback');
+      var disposable = registry.add('.grandchild', 'command', commandSpy);
+      var removeEventListener = chai.spy.on(parent, 'removeEventListener');
+      registry.add(grandchild, 'command', commandSpy).dispose();
+      expect(removeEventListener).not.to.have.been.called();
+      disposable.dispose();
+      expect(removeEventListener).to.have.been.called.with('command', registry.handleCommandEvent, true);
+      expect(registry.registeredCommands).to.deep.equal({});
+    });
+    it('can attach a destroyed registry again', function() {
+      var commandSpy = chai.spy('command-callback');
+      registry.add('.grandchild', 'command', commandSpy);
+      registry.destroy();
+      fire(grandchild, 'command');
+      expect(commandSpy).not.to.have.been.called();
+      registry.attach(parent);
+      fire(grandchild, 'command');
+      expect(commandSpy).to.have.been.called.once;
+    });
     return it('adds event listeners for any previously-added commands', function() {
       var registry2 = new CommandRegistry;
       var commandSpy = chai.spy('command-callback');
@@ -0,0 +1,239 @@
+/* eslint no-unused-expressions: 1 */
+
+var CommandRegistry = require('../');
+var KeymapManager = require('../lib/keymap-manager');
+
+var chai = require('chai');
+var spies = require('chai-spies');
+
+chai.use(spies);
+
+var expect = chai.expect;
+
+describe('KeymapManager', function() {
+  var registry, keymaps, parent, child, grandchild;
+
+  function keydown(key, target, modifiers) {
+    var event = {
+      type: 'keydown',
+      key: key,
+      target: target,
+      ctrlKey: false,
+      altKey: false,
+      shiftKey: false,
+      metaKey: false,
+      defaultPrevented: false,
+      preventDefault: function() {
+        event.defaultPrevented = true;
+      }
+    };
+    (modifiers || []).forEach(function(modifier) {
+      event[modifier + 'Key'] = true;
+    });
+    keymaps.handleKeyboardEvent(event);
+    return event;
+  }
+
+  beforeEach(function() {
+    parent = document.createElement('div');
+    child = document.createElement('div');
+    grandchild = document.createElement('div');
+    parent.classList.add('parent');
+    child.classList.add('child');
+    grandchild.classList.add('grandchild');
+    child.appendChild(grandchild);
+    parent.appendChild(child);
+    registry = new CommandRegistry;
+    keymaps = new KeymapManager({
+      commands: registry,
+      platform: 'linux',
+      partialMatchTimeout: 10
+    });
+  });
+
+  afterEach(function() {
+    keymaps.destroy();
+  });
+
+  describe('.normalizeKeystrokes(keystrokes, platform)', function() {
+    it('sorts modifiers and resolves their aliases', function() {
+      expect(KeymapManager.normalizeKeystrokes('Shift-Control-S', 'linux')).to.equal('ctrl-shift-s');
+      expect(KeymapManager.normalizeKeystrokes('option-command-p', 'darwin')).to.equal('alt-cmd-p');
+    });
+    it('maps the mod modifier to cmd on macOS and ctrl elsewhere', function() {
+      expect(KeymapManager.normalizeKeystrokes('mod-s', 'darwin')).to.equal('cmd-s');
+      expect(KeymapManager.normalizeKeystrokes('mod-s', 'win32')).to.equal('ctrl-s');
+    });
+    it('treats uppercase letters as shifted and normalizes named keys', function() {
+      expect(KeymapManager.normalizeKeystrokes('ctrl-A', 'linux')).to.equal('ctrl-shift-a');
+      expect(KeymapManager.normalizeKeystrokes('Esc', 'linux')).to.equal('escape');
+      expect(KeymapManager.normalizeKeystrokes('ctrl--', 'linux')).to.equal('ctrl--');
+    });
+    it('normalizes each keystroke of a sequence', function() {
+      expect(KeymapManager.normalizeKeystrokes(' ctrl-K   ctrl-c ', 'linux')).to.equal('ctrl-shift-k ctrl-c');
+    });
+    return it('throws on unknown modifiers', function() {
+      expect(function() {
+        KeymapManager.normalizeKeystrokes('hyper-x', 'linux');
+      }).to.throw('Invalid keystroke: hyper-x');
+    });
+  });
+
+  describe('::keystrokeForKeyboardEvent(event)', function() {
+    return it('builds a normalized keystroke from the key and modifier state', function() {
+      expect(keymaps.keystrokeForKeyboardEvent({key: 'S', ctrlKey: true, shiftKey: true})).to.equal('ctrl-shift-s');
+      expect(keymaps.keystrokeForKeyboardEvent({key: 'ArrowUp', altKey: true})).to.equal('alt-up');
+      expect(keymaps.keystrokeForKeyboardEvent({key: '!', shiftKey: true})).to.equal('!');
+      expect(keymaps.keystrokeForKeyboardEvent({keyIdentifier: 'U+0041', metaKey: true})).to.equal('cmd-a');
+      expect(keymaps.keystrokeForKeyboardEvent({key: 'Control', ctrlKey: true})).to.equal(null);
+    });
+  });
+
+  describe('::handleKeyboardEvent(event)', function() {
+    it('dispatches the command bound on the target or its ancestors', function() {
+      var spy = chai.spy('save');
+      registry.add('.grandchild', 'app:save', function(event) {
+        expect(event.target).to.equal(grandchild);
+        spy();
+      });
+      keymaps.add('test', {'.parent': {'ctrl-s': 'app:save'}});
+      var event = keydown('s', grandchild, ['ctrl']);
+      expect(spy).to.have.been.called.once;
+      expect(event.defaultPrevented).to.equal(true);
+    });
+    it('prefers bindings on closer elements, then more specific selectors', function() {
+      var calls = [];
+      grandchild.classList.add('special');
+      registry.add('.grandchild', {
+        'app:parent': function() {
+          calls.push('parent');
+        },
+        'app:child': function() {
+          calls.push('child');
+        },
+        'app:specific': function() {
+          calls.push('specific');
+        },
+        'app:generic': function() {
+          calls.push('generic');
+        }
+      });
+      keymaps.add('test', {
+        '.parent': {'ctrl-a': 'app:parent'},
+        '.child': {'ctrl-a': 'app:child'}
+      });
+      keydown('a', grandchild, ['ctrl']);
+      keymaps.add('test', {
+        '.grandchild.special': {'ctrl-b': 'app:specific'},
+        '.grandchild': {'ctrl-b': 'app:generic'}
+      });
+      keydown('b', grandchild, ['ctrl']);
+      expect(calls).to.deep.equal(['child', 'specific']);
+    });
+    it('tries the next binding when a listener calls abortKeyBinding()', function() {
+      var calls = [];
+      registry.add('.grandchild', 'app:first', function(event) {
+        calls.push('first');
+        event.abortKeyBinding();
+      });
+      registry.add('.grandchild', 'app:second', function() {
+        calls.push('second');
+      });
+      keymaps.add('test', {
+        '.parent': {'ctrl-x': 'app:second'},
+        '.child': {'ctrl-x': 'app:first'}
+      });
+      keydown('x', grandchild, ['ctrl']);
+      expect(calls).to.deep.equal(['first', 'second']);
+    });
+    it('dispatches multi-stroke bindings', function() {
+      var spy = chai.spy('comment');
+      registry.add('.grandchild', 'editor:toggle-comment', spy);
+      keymaps.add('test', {'.child': {'ctrl-k ctrl-c': 'editor:toggle-comment'}});
+      var first = keydown('k', grandchild, ['ctrl']);
+      expect(first.defaultPrevented).to.equal(true);
+      expect(spy).not.to.have.been.called();
+      keydown('c', grandchild, ['ctrl']);
+      expect(spy).to.have.been.called.once;
+    });
+    it('falls back to the shorter binding when the next keystroke does not arrive in time', function(done) {
+      var calls = [];
+      registry.add('.grandchild', {
+        'app:short': function() {
+          calls.push('short');
+        },
+        'app:long': function() {
+          calls.push('long');
+        }
+      });
+      keymaps.add('test', {'.child': {'ctrl-k': 'app:short', 'ctrl-k ctrl-l': 'app:long'}});
+      keydown('k', grandchild, ['ctrl']);
+      expect(calls).to.deep.equal([]);
+      setTimeout(function() {
+        expect(calls).to.deep.equal(['short']);
+        done();
+      }, 30);
+    });
+    it('replays the last keystroke when a sequence fails to match', function() {
+      var calls = [];
+      registry.add('.grandchild', {
+        'app:short': function() {
+          calls.push('short');
+        },
+        'app:other': function() {
+          calls.push('other');
+        }
+      });
+      keymaps.add('test', {'.child': {'ctrl-k': 'app:short', 'ctrl-k ctrl-l': 'app:long', 'ctrl-o': 'app:other'}});
+      keydown('k', grandchild, ['ctrl']);
+      keydown('o', grandchild, ['ctrl']);
+      expect(calls).to.deep.equal(['short', 'other']);
+    });
+    return it('emits an event when no binding matches', function() {
+      var spy = chai.spy('fail');
+      keymaps.onDidFailToMatchBinding(spy);
+      var event = keydown('q', grandchild, ['ctrl']);
+      expect(spy).to.have.been.called.once;
+      expect(event.defaultPrevented).to.equal(false);
+    });
+  });
+
+  describe('::findKeyBindings({target})', function() {
+    return it('returns the bindings reachable from the target, without shadowed ones', function() {
+      keymaps.add('test', {
+        '.parent': {'ctrl-a': 'app:shadowed', 'ctrl-b': 'app:parent'},
+        '.child': {'ctrl-a': 'app:child'},
+        '.unrelated': {'ctrl-c': 'app:unrelated'}
+      });
+      expect(keymaps.findKeyBindings({target: grandchild}).map(function(binding) {
+        return binding.command;
+      })).to.deep.equal(['app:child', 'app:parent']);
+      expect(keymaps.findKeyBindings({target: grandchild, command: 'app:shadowed'})).to.deep.equal([]);
+      expect(keymaps.findKeyBindings({target: parent, command: 'app:shadowed'}).length).to.equal(1);
+    });
+  });
+
+  describe('as the key binding provider of a CommandRegistry', function() {
+    return it('reports key bindings from ::findCommands', function() {
+      registry.setKeyBindingProvider(keymaps);
+      registry.add('.child', 'app:save', function() {});
+      keymaps.add('test', {'.parent': {'ctrl-s': 'app:save', 'ctrl-q': 'app:quit'}});
+      expect(registry.findCommands({target: grandchild})).to.deep.equal([{
+        name: 'app:save',
+        displayName: 'App: Save',
+        keyBindings: ['ctrl-s']
+      }]);
+    });
+  });
+
+  return describe('::add(source, keymap)', function() {
+    return it('returns a disposable that removes the added bindings', function() {
+      var disposable = keymaps.add('test', {'.child': {'ctrl-s': 'app:save'}});
+      keymaps.add('other', {'.child': {'ctrl-o': 'app:open'}});
+      expect(keymaps.findKeyBindings({command: 'app:save'}).length).to.equal(1);
+      disposable.dispose();
+      expect(keymaps.findKeyBindings({command: 'app:save'}).length).to.equal(0);
+      expect(keymaps.findKeyBindings({keystrokes: 'Control-o'})[0].source).to.equal('other');
+    });
+  });
+});
@@ -0,0 +1,142 @@
+var CommandRegistry = require('../');
+
+var expect = require('chai').expect;
+
+describe('Macros', function() {
+  var registry, workspace, firstTab, secondTab, calls;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    workspace = {type: 'workspace'};
+    firstTab = {type: 'tab', id: 'first', parent: workspace};
+    secondTab = {type: 'tab', id: 'second', parent: workspace};
+    calls = [];
+    registry.add('tab', 'tab:refresh', function(event) {
+      calls.push(['refresh', this.id, event.source, event.detail]);
+    });
+  });
+
+  describe('::addMacro(target, commandName, steps)', function() {
+    it('dispatches the steps in sequence', function() {
+      registry.addMacro('workspace', 'connection:refresh-all', [
+        {command: 'tab:refresh', target: firstTab, detail: {force: true}},
+        {command: 'tab:refresh', target: function() {
+          return secondTab;
+        }}
+      ], {description: 'Refresh every tab'});
+      expect(registry.findCommands({target: workspace})[0]).to.deep.equal({
+        name: 'connection:refresh-all',
+        displayName: 'Connection: Refresh All',
+        description: 'Refresh every tab'
+      });
+      return registry.dispatchAsync(workspace, 'connection:refresh-all').then(function(result) {
+        expect(result.matched).to.equal(true);
+        expect(result.results[0].status).to.equal('fulfilled');
+        expect(calls).to.deep.equal([
+          ['refresh', 'first', 'macro', {force: true}],
+          ['refresh', 'second', 'macro', null]
+        ]);
+      });
+    });
+
+    it('waits for each step to complete', function() {
+      var resolveFirst;
+      registry.add('tab', 'tab:load', function() {
+        calls.push(['load', this.id]);
+        return new Promise(function(resolve) {
+          resolveFirst = resolve;
+        });
+      });
+      registry.addMacro('workspace', 'tab:load-and-refresh', [
+        {command: 'tab:load', target: firstTab},
+        {command: 'tab:refresh', target: firstTab}
+      ]);
+      var dispatched = registry.dispatchAsync(workspace, 'tab:load-and-refresh');
+      return Promise.resolve().then(function() {
+        return new Promise(function(resolve) {
+          setTimeout(resolve, 0);
+        });
+      }).then(function() {
+        expect(calls).to.deep.equal([['load', 'first']]);
+        resolveFirst();
+        return dispatched;
+      }).then(function() {
+        expect(calls.length).to.equal(2);
+      });
+    });
+
+    it('stops at the first step no listener matched', function() {
+      registry.addMacro('workspace', 'macro', [
+        {command: 'tab:refresh', target: firstTab},
+        {command: 'tab:missing', target: firstTab},
+        {command: 'tab:refresh', target: secondTab}
+      ]);
+      return registry.dispatchAsync(workspace, 'macro').then(function(result) {
+        var reason = result.results[0].reason;
+        expect(calls.length).to.equal(1);
+        expect(reason.step).to.equal(1);
+        expect(reason.command).to.equal('tab:missing');
+        expect(reason.message).to.equal('Macro step 2 (tab:missing) did not match any listener');
+      });
+    });
+
+    it('stops at the first failed step', function() {
+      var error = new Error('offline');
+      registry.add('tab', 'tab:fail', function() {
+        return Promise.reject(error);
+      });
+      registry.onDidFailDispatch(function() {});
+      return registry.runMacro(firstTab, [
+        {command: 'tab:fail'},
+        {command: 'tab:refresh'}
+      ]).then(function() {
+        throw new Error('Expected the macro to fail');
+      }, function(reason) {
+        expect(calls).to.deep.equal([]);
+        expect(reason.step).to.equal(0);
+        expect(reason.cause).to.equal(error);
+      });
+    });
+  });
+
+  describe('MacroRecorder', function() {
+    it('records the commands dispatched by the user and replays them', function() {
+      var recorder = new CommandRegistry.MacroRecorder(registry);
+      var steps;
+      registry.add('tab', 'tab:close', function() {
+        calls.push(['close', this.id]);
+        registry.dispatch(workspace, 'workspace:layout');
+      });
+      registry.add('workspace', 'workspace:layout', function() {
+        calls.push(['layout']);
+      });
+      registry.dispatch(firstTab, 'tab:refresh', {force: true});
+      recorder.start();
+      expect(recorder.isRecording()).to.equal(true);
+      registry.dispatch(secondTab, 'tab:refresh', {force: true});
+      registry.dispatch(firstTab, 'tab:close');
+      steps = recorder.stop();
+      registry.dispatch(firstTab, 'tab:refresh');
+      expect(recorder.isRecording()).to.equal(false);
+      expect(steps).to.deep.equal([
+        {command: 'tab:refresh', detail: {force: true}, target: secondTab},
+        {command: 'tab:close', detail: null, target: firstTab}
+      ]);
+      calls = [];
+      recorder.start();
+      registry.addMacro('workspace', 'user:replay', steps);
+      return registry.dispatchAsync(workspace, 'user:replay').then(function() {
+        expect(calls).to.deep.equal([
+          ['refresh', 'second', 'macro', {force: true}],
+          ['close', 'first'],
+          ['layout']
+        ]);
+        expect(recorder.stop()).to.deep.equal([
+          {command: 'user:replay', detail: null, target: workspace}
+        ]);
+      });
+    });
+  });
+});
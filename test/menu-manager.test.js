@@ -0,0 +1,139 @@
+var CommandRegistry = require('../');
+var KeymapManager = require('../lib/keymap-manager');
+var MenuManager = require('../lib/menu-manager');
+
+var expect = require('chai').expect;
+
+describe('MenuManager', function() {
+  var registry, menus, workspace, collection, events;
+
+  function labels(items) {
+    return items.map(function(item) {
+      return item.type === 'separator' ? '-' : item.label;
+    });
+  }
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    menus = new MenuManager({commands: registry});
+    workspace = {type: 'workspace'};
+    collection = {type: 'collection', id: 'users', parent: workspace};
+    events = [];
+    registry.add('collection', {
+      'collection:refresh': function(event) {
+        events.push([event.type, this.id, event.detail, event.source]);
+      },
+      'collection:export': {
+        displayName: 'Export Documents',
+        didDispatch: function(event) {
+          events.push([event.type, this.id, event.detail, event.source]);
+        }
+      }
+    });
+  });
+
+  describe('::buildTemplate(target)', function() {
+    it('labels items with the display name of their command', function() {
+      menus.add({
+        collection: [
+          {command: 'collection:refresh'},
+          {command: 'collection:export', label: 'Export...'},
+          {command: 'collection:drop'}
+        ]
+      });
+      var template = menus.buildTemplate(collection);
+      expect(labels(template)).to.deep.equal(['Collection: Refresh', 'Export...', 'Collection: Drop']);
+      expect(template[0].command).to.equal('collection:refresh');
+    });
+
+    it('disables items whose command is unreachable from the target', function() {
+      registry.add('collection', 'collection:drop', {
+        enabled: false,
+        didDispatch: function() {}
+      });
+      menus.add({
+        workspace: [
+          {command: 'collection:refresh'},
+          {command: 'collection:drop'}
+        ]
+      });
+      expect(menus.buildTemplate(collection).map(function(item) {
+        return item.enabled;
+      })).to.deep.equal([true, false]);
+      expect(menus.buildTemplate(workspace)[0].enabled).to.equal(false);
+    });
+
+    it('dispatches the command on the target when an item is clicked', function() {
+      menus.add({
+        collection: [{command: 'collection:export', detail: {format: 'json'}}]
+      });
+      var item = menus.buildTemplate(collection)[0];
+      expect(item.detail).to.equal(undefined);
+      item.click();
+      expect(events).to.deep.equal([['collection:export', 'users', {format: 'json'}, 'menu']]);
+    });
+
+    it('orders menus from the closest and most specific selector, separated', function() {
+      menus.add({
+        workspace: [{command: 'workspace:close'}],
+        '*': [{command: 'app:quit'}],
+        collection: [{command: 'collection:refresh'}],
+        'collection#users': [{command: 'collection:export'}, {type: 'separator'}]
+      });
+      expect(labels(menus.buildTemplate(collection))).to.deep.equal([
+        'Export Documents', '-',
+        'Collection: Refresh', '-',
+        'App: Quit', '-',
+        'Workspace: Close'
+      ]);
+    });
+
+    it('merges submenus with the same label and skips duplicate commands', function() {
+      menus.add({
+        workspace: [{label: 'File', submenu: [{command: 'workspace:close'}, {command: 'collection:refresh'}]}],
+        collection: [{label: 'File', submenu: [{command: 'collection:refresh'}, {role: 'quit'}]}]
+      });
+      var template = menus.buildTemplate(collection);
+      expect(labels(template)).to.deep.equal(['File']);
+      expect(labels(template[0].submenu)).to.deep.equal(['Collection: Refresh', undefined, 'Workspace: Close']);
+      expect(template[0].submenu[1]).to.deep.equal({role: 'quit'});
+    });
+
+    it('adds accelerators for commands bound to a single keystroke', function() {
+      var keymaps = new KeymapManager({commands: registry, platform: 'linux'});
+      registry.setKeyBindingProvider(keymaps);
+      keymaps.add('test', {
+        collection: {
+          'ctrl-k ctrl-r': 'collection:refresh',
+          'mod-shift-r': 'collection:refresh',
+          'f5': 'collection:export'
+        }
+      });
+      menus.add({
+        collection: [{command: 'collection:refresh'}, {command: 'collection:export'}]
+      });
+      expect(menus.buildTemplate(collection).map(function(item) {
+        return item.accelerator;
+      })).to.deep.equal(['Ctrl+Shift+R', 'F5']);
+    });
+
+    return it('stops including items once their menus are disposed', function() {
+      var disposable = menus.add({
+        collection: [{command: 'collection:refresh'}]
+      });
+      disposable.dispose();
+      expect(menus.buildTemplate(collection)).to.deep.equal([]);
+    });
+  });
+
+  return describe('.acceleratorForKeystrokes(keystrokes)', function() {
+    return it('translates normalized keystrokes', function() {
+      expect(MenuManager.acceleratorForKeystrokes('cmd-alt-pageup')).to.equal('Cmd+Alt+PageUp');
+      expect(MenuManager.acceleratorForKeystrokes('ctrl-+')).to.equal('Ctrl+Plus');
+      expect(MenuManager.acceleratorForKeystrokes('shift-enter')).to.equal('Shift+Enter');
+      expect(MenuManager.acceleratorForKeystrokes('ctrl-k ctrl-c')).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+var SelectorIndex = require('../lib/selector-index');
+var objectTargetTree = require('../lib/target-trees').objectTargetTree;
+
+var expect = require('chai').expect;
+
+describe('SelectorIndex', function() {
+  var listener = function(selector, sequenceNumber) {
+    return {selector: selector, sequenceNumber: sequenceNumber};
+  };
+  var bySequenceNumber = function(a, b) {
+    return a.sequenceNumber - b.sequenceNumber;
+  };
+
+  describe('indexKeysForSelector(selector)', function() {
+    it('keys selectors by the id, class or tag of their rightmost compound', function() {
+      expect(SelectorIndex.indexKeysForSelector('pane editor#main.active')).to.deep.equal(['#main']);
+      expect(SelectorIndex.indexKeysForSelector('#main .editor.active')).to.deep.equal(['.editor']);
+      expect(SelectorIndex.indexKeysForSelector('.pane > Editor[open]')).to.deep.equal(['editor']);
+      expect(SelectorIndex.indexKeysForSelector('.pane *')).to.deep.equal(['*']);
+      expect(SelectorIndex.indexKeysForSelector('[open]')).to.deep.equal(['*']);
+    });
+    it('keys each selector of a list', function() {
+      expect(SelectorIndex.indexKeysForSelector('.a, .b, .a')).to.deep.equal(['.a', '.b']);
+    });
+    return it('uses the universal key for selectors it cannot parse', function() {
+      expect(SelectorIndex.indexKeysForSelector('.editor:focus')).to.deep.equal(['*']);
+    });
+  });
+
+  describe('::getCandidates(node)', function() {
+    it('returns the listeners that may match the node in order', function() {
+      var listeners = [
+        listener('.editor', 3),
+        listener('workspace', 1),
+        listener('*', 2),
+        listener('#main', 4),
+        listener('.other', 5)
+      ];
+      var index = new SelectorIndex(listeners, objectTargetTree, bySequenceNumber);
+      var node = {type: 'editor', id: 'main', classList: ['editor']};
+      expect(index.getCandidates(node).map(function(candidate) {
+        return candidate.selector;
+      })).to.deep.equal(['*', '.editor', '#main']);
+      expect(index.getCandidates({type: 'workspace'}).map(function(candidate) {
+        return candidate.selector;
+      })).to.deep.equal(['workspace', '*']);
+    });
+    it('returns listeners of selector lists once', function() {
+      var both = listener('.a, .b', 1);
+      var index = new SelectorIndex([both], objectTargetTree, bySequenceNumber);
+      expect(index.getCandidates({classList: ['a', 'b']})).to.deep.equal([both]);
+    });
+    return it('returns every listener for target trees without index keys', function() {
+      var listeners = [listener('.b', 2), listener('.a', 1)];
+      var index = new SelectorIndex(listeners, {}, bySequenceNumber);
+      expect(index.getCandidates({})).to.deep.equal([listeners[1], listeners[0]]);
+    });
+  });
+});
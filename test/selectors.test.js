@@ -0,0 +1,71 @@
+var selectors = require('../lib/selectors');
+var objectTargetTree = require('../lib/target-trees').objectTargetTree;
+
+var expect = require('chai').expect;
+
+describe('selectors', function() {
+  var workspace, pane, editor;
+
+  beforeEach(function() {
+    workspace = {type: 'workspace', id: 'main'};
+    pane = {type: 'pane', className: 'pane active', parent: workspace};
+    editor = {
+      tagName: 'EDITOR',
+      classList: new Set(['mongodb', 'focused']),
+      attributes: {'data-grammar': 'source.js', readonly: false},
+      parent: pane
+    };
+  });
+
+  function matches(selector, node) {
+    return selectors.matches(selector, node, objectTargetTree);
+  }
+
+  describe('.matches(selector, node, tree)', function() {
+    it('matches type, universal, id and class selectors', function() {
+      expect(matches('editor', editor)).to.equal(true);
+      expect(matches('*', editor)).to.equal(true);
+      expect(matches('#main', workspace)).to.equal(true);
+      expect(matches('editor.mongodb.focused', editor)).to.equal(true);
+      expect(matches('.pane.active', pane)).to.equal(true);
+      expect(matches('editor.missing', editor)).to.equal(false);
+      expect(matches('pane', editor)).to.equal(false);
+    });
+    it('matches attribute selectors', function() {
+      expect(matches('[data-grammar]', editor)).to.equal(true);
+      expect(matches('[data-grammar="source.js"]', editor)).to.equal(true);
+      expect(matches('[data-grammar^=source]', editor)).to.equal(true);
+      expect(matches('[data-grammar$=\'.js\']', editor)).to.equal(true);
+      expect(matches('[readonly=false]', editor)).to.equal(true);
+      expect(matches('[data-grammar*=python]', editor)).to.equal(false);
+      expect(matches('[type=pane]', pane)).to.equal(true);
+    });
+    it('matches descendant and child combinators', function() {
+      expect(matches('workspace editor', editor)).to.equal(true);
+      expect(matches('#main > .pane > editor', editor)).to.equal(true);
+      expect(matches('workspace > editor', editor)).to.equal(false);
+      expect(matches('.active editor.mongodb', editor)).to.equal(true);
+    });
+    it('matches :not() and selector lists', function() {
+      expect(matches('editor:not(.readonly)', editor)).to.equal(true);
+      expect(matches('editor:not(.focused, .other)', editor)).to.equal(false);
+      expect(matches('pane, editor', editor)).to.equal(true);
+    });
+  });
+
+  describe('.parseSelector(selector)', function() {
+    return it('throws for invalid and unsupported selectors', function() {
+      ['', '<>', '.a >', '> .a', '.a + .b', 'a:hover', '.a,', '[x=]', 'a::before'].forEach(function(selector) {
+        expect(function() {
+          selectors.parseSelector(selector);
+        }).to.throw(selector + ' is not a valid selector');
+      });
+    });
+  });
+
+  return describe('.splitSelectorList(selector)', function() {
+    return it('splits on top-level commas only', function() {
+      expect(selectors.splitSelectorList('.a, .b > .c,:not(.d, .e), [x=","]')).to.deep.equal(['.a', '.b > .c', ':not(.d, .e)', '[x=","]']);
+    });
+  });
+});
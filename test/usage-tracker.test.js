@@ -0,0 +1,143 @@
+var CommandRegistry = require('../');
+var KeymapManager = require('../lib/keymap-manager');
+var UsageTracker = require('../lib/usage-tracker');
+
+var expect = require('chai').expect;
+
+describe('UsageTracker', function() {
+  var registry, tracker, workspace, storage;
+
+  beforeEach(function() {
+    registry = new CommandRegistry({
+      targetTree: CommandRegistry.objectTargetTree
+    });
+    workspace = {type: 'workspace'};
+    registry.add('workspace', {
+      'app:open-collection': function() {},
+      'app:reload': function() {}
+    });
+    storage = {
+      items: {},
+      getItem: function(key) {
+        return this.items.hasOwnProperty(key) ? this.items[key] : null;
+      },
+      setItem: function(key, value) {
+        this.items[key] = value;
+      }
+    };
+    tracker = new UsageTracker(registry, {
+      storage: UsageTracker.localStorageAdapter(storage, 'usage'),
+      detailAllowList: {
+        'app:open-collection': ['view'],
+        '*': ['readonly']
+      }
+    });
+  });
+
+  afterEach(function() {
+    tracker.dispose();
+  });
+
+  it('counts dispatches by command and source', function() {
+    var before = Date.now();
+    var keymaps = new KeymapManager({commands: registry, platform: 'linux'});
+    keymaps.add('test', {workspace: {'ctrl-r': 'app:reload'}});
+    registry.dispatch(workspace, 'app:reload', null, {source: 'palette'});
+    registry.dispatch(workspace, 'app:reload');
+    keymaps.dispatchMatches(keymaps.findKeyBindings({keystrokes: 'ctrl-r'}), 'ctrl-r', workspace);
+    registry.dispatchCommandLine(workspace, 'app:open-collection');
+    var stats = tracker.getStats();
+    expect(stats.totalCount).to.equal(4);
+    expect(stats.sources).to.deep.equal({palette: 1, programmatic: 1, keybinding: 1, 'command-line': 1});
+    expect(stats.commands.map(function(command) {
+      return [command.name, command.count];
+    })).to.deep.equal([['app:reload', 3], ['app:open-collection', 1]]);
+    expect(stats.commands[0].lastUsedAt).to.be.at.least(before);
+    expect(tracker.getCommandStats('app:missing')).to.equal(null);
+  });
+
+  it('only records the allowed keys of the detail', function() {
+    registry.dispatch(workspace, 'app:open-collection', {view: 'table', readonly: true, db: 'secret'});
+    registry.dispatch(workspace, 'app:open-collection', {view: 'table', filter: {ssn: 1}});
+    registry.dispatch(workspace, 'app:reload', {view: 'list', readonly: false});
+    expect(tracker.getCommandStats('app:open-collection').details).to.deep.equal({
+      view: {table: 2},
+      readonly: {true: 1}
+    });
+    expect(tracker.getCommandStats('app:reload').details).to.deep.equal({
+      readonly: {false: 1}
+    });
+    expect(JSON.stringify(tracker.toJSON())).not.to.contain('secret');
+  });
+
+  it('records keys named like the properties of Objects', function() {
+    registry.dispatch(workspace, 'app:reload', null, {source: 'toString'});
+    registry.dispatch(workspace, 'app:open-collection', {view: 'constructor'}, {source: 'constructor'});
+    registry.dispatch(workspace, 'app:open-collection', {view: 'constructor'}, {source: 'constructor'});
+    expect(tracker.getCommandStats('toString')).to.equal(null);
+    expect(tracker.getCommandStats('app:open-collection').details).to.deep.equal({
+      view: {constructor: 2}
+    });
+    expect(tracker.getStats().sources).to.deep.equal({toString: 1, constructor: 2});
+  });
+
+  it('only records the dispatches of matched commands', function() {
+    registry.dispatch(workspace, 'bogus:cmd');
+    registry.dispatch(workspace, 'app:reload');
+    expect(tracker.getCommandStats('bogus:cmd')).to.equal(null);
+    expect(tracker.getStats().totalCount).to.equal(1);
+  });
+
+  it('saves and restores the statistics through the storage adapter', function() {
+    registry.dispatch(workspace, 'app:reload', null, {source: 'menu'});
+    registry.dispatch(workspace, 'app:open-collection', {view: 'json'});
+    return tracker.save().then(function() {
+      var restored = new UsageTracker(registry, {
+        storage: UsageTracker.localStorageAdapter(storage, 'usage')
+      });
+      tracker.dispose();
+      registry.dispatch(workspace, 'app:reload', null, {source: 'menu'});
+      return restored.restore().then(function() {
+        expect(restored.getCommandStats('app:reload').count).to.equal(2);
+        expect(restored.getCommandStats('app:reload').sources).to.deep.equal({menu: 2});
+        expect(restored.getCommandStats('app:open-collection').details).to.deep.equal({});
+        restored.dispose();
+      });
+    });
+  });
+
+  it('ranks the results of searchCommands once set on the registry', function() {
+    var search = function() {
+      return registry.searchCommands({target: workspace, query: 'app'}).map(function(command) {
+        return command.name;
+      });
+    };
+    registry.dispatch(workspace, 'app:reload');
+    expect(search()).to.deep.equal(['app:reload', 'app:open-collection']);
+    storage.setItem('usage', JSON.stringify({
+      version: 1,
+      commands: {'app:open-collection': {count: 40, lastUsedAt: Date.now(), sources: {palette: 40}}}
+    }));
+    registry.setUsageTracker(tracker);
+    return tracker.restore().then(function() {
+      expect(registry.usageTracker).to.equal(tracker);
+      expect(tracker.getCommandStats('app:reload').count).to.equal(2);
+      expect(search()).to.deep.equal(['app:open-collection', 'app:reload']);
+    });
+  });
+
+  it('keeps the tracker set on the registry when it is cleared', function() {
+    registry.setUsageTracker(tracker);
+    registry.clear();
+    registry.add('workspace', 'app:reload', function() {});
+    registry.dispatch(workspace, 'app:reload');
+    expect(registry.usageTracker).to.equal(tracker);
+    expect(tracker.getCommandStats('app:reload').count).to.equal(1);
+  });
+
+  return it('stops recording once disposed', function() {
+    tracker.dispose();
+    registry.dispatch(workspace, 'app:reload');
+    expect(tracker.getStats()).to.deep.equal({totalCount: 0, sources: {}, commands: []});
+  });
+});